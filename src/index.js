@@ -1,10 +1,21 @@
+// Load .env before any module reads its configuration
+import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import assistantRoute from "./routes/assistant.js";
 import chatHistoryRoute from "./routes/chatHistory.js";
+import adminRoute from "./routes/admin.js";
+import authRoute from "./routes/auth.js";
+import metricsRoute from "./routes/metrics.js";
+import { trackHttpMetrics } from "./middleware/httpMetrics.js";
+import { assignRequestId } from "./middleware/requestId.js";
+import { logger } from "./services/logger.js";
 
 const app = express();
 
+app.use(assignRequestId);
+app.use(trackHttpMetrics);
+
 app.use(
   cors({
     origin: [
@@ -13,8 +24,9 @@ app.use(
       "https://kuprikqurilish.uz",
       "http://kuprikqurilish.uz",
     ],
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type"],
+    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+    exposedHeaders: ["X-Request-Id"],
     credentials: true,
   }),
 );
@@ -23,11 +35,14 @@ app.use(express.json());
 
 app.use("/api/assistant", assistantRoute);
 app.use("/chatHistory", chatHistoryRoute);
+app.use("/api/admin", adminRoute);
+app.use("/auth", authRoute);
+app.use("/metrics", metricsRoute);
 
 app.get("/health", (_, res) => {
   res.json({ ok: true });
 });
 
 app.listen(4000, () => {
-  console.log("🚀 AI Navigator backend running on port 4000");
+  logger.info("AI Navigator backend running", { port: 4000 });
 });
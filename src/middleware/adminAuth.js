@@ -0,0 +1,30 @@
+// middleware/adminAuth.js - Access check for the admin API
+import crypto from "crypto";
+import { requireRole } from "./auth.js";
+
+const requireAdminRole = requireRole("admin");
+
+/**
+ * Constant-time string comparison
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Allow `Authorization: Bearer <ADMIN_API_KEY>` (scripts, CI)
+ * or a signed-in user with the admin role.
+ */
+export function requireAdmin(req, res, next) {
+  const apiKey = process.env.ADMIN_API_KEY;
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (apiKey && scheme === "Bearer" && token && safeEqual(token, apiKey)) {
+    req.user = { username: "api-key", role: "admin" };
+    return next();
+  }
+
+  return requireAdminRole(req, res, next);
+}
@@ -0,0 +1,105 @@
+// middleware/auth.js - Role checks for the dashboard and stats endpoints
+import {
+  verifyToken,
+  hasRole,
+  TOKEN_TTL_SECONDS,
+} from "../services/authService.js";
+import { recordAuthEvent } from "../services/auditLog.js";
+
+export const AUTH_COOKIE = "auth_token";
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key !== name) continue;
+    // A malformed value ("%E0%A4%A") is treated as no cookie
+    try {
+      return decodeURIComponent(value.join("="));
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Token from `Authorization: Bearer ...` (JSON clients)
+ * or the sign-in cookie (HTML dashboard)
+ */
+function getRequestToken(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Bearer" && token) return { token, source: "bearer" };
+
+  const cookie = readCookie(req, AUTH_COOKIE);
+  if (cookie) return { token: cookie, source: "cookie" };
+
+  return null;
+}
+
+export function setAuthCookie(req, res, token) {
+  res.setHeader(
+    "Set-Cookie",
+    `${AUTH_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${TOKEN_TTL_SECONDS}` +
+      (req.secure ? "; Secure" : ""),
+  );
+}
+
+export function clearAuthCookie(res) {
+  res.setHeader(
+    "Set-Cookie",
+    `${AUTH_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`,
+  );
+}
+
+// Browsers opening a dashboard page get the login page instead of a 401
+const wantsHtml = (req) =>
+  req.method === "GET" && req.accepts(["json", "html"]) === "html";
+
+function rejectUnauthenticated(req, res, message) {
+  if (wantsHtml(req)) {
+    return res.redirect(
+      `/auth/login?next=${encodeURIComponent(req.originalUrl)}`,
+    );
+  }
+  res.setHeader("WWW-Authenticate", "Bearer");
+  return res.status(401).json({ error: message });
+}
+
+/**
+ * Allow the request only for signed-in users with `role` or higher.
+ * Sets req.user = { username, role }.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    const credentials = getRequestToken(req);
+
+    if (!credentials) {
+      recordAuthEvent(req, "unauthenticated");
+      return rejectUnauthenticated(req, res, "Authentication required");
+    }
+
+    const { user, error } = verifyToken(credentials.token);
+
+    if (!user) {
+      recordAuthEvent(
+        req,
+        error === "expired" ? "token_expired" : "token_invalid",
+        { reason: `${error} (${credentials.source})` },
+      );
+      if (credentials.source === "cookie") clearAuthCookie(res);
+      return rejectUnauthenticated(
+        req,
+        res,
+        error === "expired" ? "Token expired" : "Invalid token",
+      );
+    }
+
+    if (!hasRole(user.role, role)) {
+      recordAuthEvent(req, "forbidden", { ...user, reason: `needs ${role}` });
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    req.user = user;
+    next();
+  };
+}
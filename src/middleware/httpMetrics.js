@@ -0,0 +1,30 @@
+// middleware/httpMetrics.js - Count requests and response times for /metrics
+import { httpRequests, httpDuration } from "../services/metrics.js";
+
+/**
+ * Route pattern of a request ("/chatHistory/daily/:date"), so ids and
+ * dates in URLs don't create new series. Requests turned away by a
+ * router's middleware (e.g. sign-in) count under the router's path.
+ */
+function routeOf(req) {
+  if (!req.route) return req.baseUrl || "unmatched";
+  if (req.route.path === "/") return req.baseUrl || "/";
+  return `${req.baseUrl}${req.route.path}`;
+}
+
+/**
+ * Record every response for the /metrics endpoint
+ */
+export function trackHttpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = routeOf(req);
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
+    httpDuration.observe({ route }, seconds);
+  });
+
+  next();
+}
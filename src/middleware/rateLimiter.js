@@ -1,145 +1,227 @@
-// rateLimiter.js - Add this to your backend
-import fs from "fs";
+// rateLimiter.js - Per-route rate limits over a pluggable store
 import path from "path";
 import { fileURLToPath } from "url";
+import { createLimiter } from "../services/rateLimit/algorithms.js";
+import { createMemoryStore } from "../services/rateLimit/memoryStore.js";
+import { createFileStore } from "../services/rateLimit/fileStore.js";
+import { createRedisStore } from "../services/rateLimit/redisStore.js";
+import { rateLimitRejections } from "../services/metrics.js";
+import { logger } from "../services/logger.js";
+import { anonymizeIp, pseudonymize, ipForms } from "../services/privacy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Simple in-memory store (use Redis for production)
-const requestStore = new Map();
-const RATE_LIMIT_FILE = path.join(__dirname, "../data/rateLimits.json");
+// Runtime state, next to the other logs
+const RATE_LIMIT_FILE = path.join(__dirname, "../logs/rateLimits.json");
 
-// Configuration
-const RATE_LIMIT = {
-  MAX_REQUESTS: 30,
-  WINDOW_HOURS: 12,
-  WINDOW_MS: 12 * 60 * 60 * 1000, // 12 hours in milliseconds
+// Configuration: "<sliding|bucket>:<limit>/<duration>" or "off".
+// unit "requests": every request costs 1, counted up front.
+// unit "tokens": the route reports the LLM tokens it used after answering
+// (chargeRateLimit); requests are only refused once the budget is spent.
+// /navigate charges its AI fallback to the chat budget.
+const RATE_LIMIT_POLICIES = {
+  // Chat (/chat, /talk and their streams), charged by LLM tokens
+  chat: {
+    spec: process.env.RATE_LIMIT_CHAT || "sliding:30000/12h",
+    unit: "tokens",
+  },
+  // Keyword / FAQ navigation (/navigate)
+  navigation: {
+    spec: process.env.RATE_LIMIT_NAVIGATION || "bucket:60/1h",
+    unit: "requests",
+  },
+  // Answer feedback (/feedback)
+  feedback: {
+    spec: process.env.RATE_LIMIT_FEEDBACK || "bucket:30/1h",
+    unit: "requests",
+  },
+  // Read-only endpoints (/stats)
+  read: {
+    spec: process.env.RATE_LIMIT_READ || "bucket:120/1m",
+    unit: "requests",
+  },
+  // Sign-in attempts (/auth/login) per IP, and per username so
+  // guessing one account's password from many addresses is slowed too
+  login: {
+    spec: process.env.RATE_LIMIT_LOGIN || "bucket:10/15m",
+    unit: "requests",
+  },
+  loginUser: {
+    spec: process.env.RATE_LIMIT_LOGIN_USER || "bucket:20/1h",
+    unit: "requests",
+  },
 };
 
-// Load rate limits from file on startup
-function loadRateLimits() {
-  try {
-    if (fs.existsSync(RATE_LIMIT_FILE)) {
-      const data = JSON.parse(fs.readFileSync(RATE_LIMIT_FILE, "utf-8"));
-      for (const [key, value] of Object.entries(data)) {
-        requestStore.set(key, value);
-      }
-      console.log("✅ Rate limits loaded from file");
-    }
-  } catch (error) {
-    console.error("Error loading rate limits:", error);
-  }
-}
+// What an answer without any LLM call (FAQ / keyword match) costs,
+// in tokens: cheap, but not an unlimited free endpoint
+const KEYWORD_ANSWER_COST =
+  parseInt(process.env.RATE_LIMIT_KEYWORD_COST) >= 0
+    ? parseInt(process.env.RATE_LIMIT_KEYWORD_COST)
+    : 50;
 
-// Save rate limits to file
-function saveRateLimits() {
-  try {
-    const data = Object.fromEntries(requestStore);
-    fs.writeFileSync(RATE_LIMIT_FILE, JSON.stringify(data, null, 2));
-  } catch (error) {
-    console.error("Error saving rate limits:", error);
-  }
-}
+const policies = Object.fromEntries(
+  Object.entries(RATE_LIMIT_POLICIES).map(([name, { spec, unit }]) => [
+    name,
+    { limiter: createLimiter(spec), unit },
+  ]),
+);
 
-// Clean up old entries periodically (every hour)
-setInterval(() => {
-  const now = Date.now();
-  let cleaned = 0;
-
-  for (const [key, data] of requestStore.entries()) {
-    if (now - data.firstRequest > RATE_LIMIT.WINDOW_MS) {
-      requestStore.delete(key);
-      cleaned++;
-    }
-  }
+/**
+ * Store from RATE_LIMIT_STORE: file (default), memory or redis
+ */
+function createStore() {
+  const type = process.env.RATE_LIMIT_STORE || "file";
 
-  if (cleaned > 0) {
-    console.log(`🧹 Cleaned ${cleaned} expired rate limit entries`);
-    saveRateLimits();
+  switch (type) {
+    case "memory":
+      return createMemoryStore();
+    case "redis":
+      return createRedisStore({
+        url: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+        timeoutMs: parseInt(process.env.REDIS_TIMEOUT_MS) || 1000,
+      });
+    case "file":
+      return createFileStore({ file: RATE_LIMIT_FILE });
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${type}"`);
   }
-}, 60 * 60 * 1000); // Run every hour
+}
 
-// Initialize
-loadRateLimits();
+const store = createStore();
+logger.info("Rate limits", {
+  store: store.name,
+  policies: Object.entries(RATE_LIMIT_POLICIES)
+    .map(([name, { spec, unit }]) => `${name}=${spec} ${unit}`)
+    .join(", "),
+});
 
 /**
- * Rate limiter middleware
- * Uses IP address + User-Agent for identification
+ * Client identifier: hashed IP address + User-Agent hash, so stores
+ * never hold the IP itself
  */
-export function rateLimiter(req, res, next) {
-  // Get identifier (IP + User-Agent hash for better uniqueness)
-  const ip = req.ip || req.connection.remoteAddress;
+function identify(req) {
+  const ip = req.ip || req.socket.remoteAddress;
   const userAgent = req.headers["user-agent"] || "unknown";
-  const identifier = `${ip}_${hashString(userAgent)}`;
-
-  const now = Date.now();
+  return `${pseudonymize(ip)}_${hashString(userAgent)}`;
+}
 
-  // Get or create request record
-  let record = requestStore.get(identifier);
+/**
+ * "Try again in ..." text for the limit message
+ */
+function waitText(ms) {
+  const minutes = Math.ceil(ms / (60 * 1000));
+  if (minutes < 60) return `${minutes} daqiqadan`;
+  return `${Math.ceil(minutes / 60)} soatdan`;
+}
 
-  if (!record) {
-    // First request
-    record = {
-      count: 1,
-      firstRequest: now,
-      lastRequest: now,
-    };
-    requestStore.set(identifier, record);
-    saveRateLimits();
-    return next();
+/**
+ * Rate limiter middleware for one policy (see RATE_LIMIT_POLICIES).
+ * Sets req.rateLimit = { policy, unit, limit, remaining, resetAt }.
+ * `key(req)` counts by something other than the client (e.g. username);
+ * requests it returns nothing for are not limited.
+ */
+export function rateLimit(policy, { key: keyOf } = {}) {
+  if (!policies[policy]) {
+    throw new Error(`Unknown rate limit policy "${policy}"`);
   }
+  const { limiter, unit } = policies[policy];
+
+  return async (req, res, next) => {
+    if (!limiter) return next();
+
+    const id = keyOf ? keyOf(req) : null;
+    if (keyOf && !id) return next();
 
-  // Check if window has expired
-  if (now - record.firstRequest > RATE_LIMIT.WINDOW_MS) {
-    // Reset the window
-    record = {
-      count: 1,
-      firstRequest: now,
-      lastRequest: now,
+    const key = `${policy}:${id ? pseudonymize(id) : identify(req)}`;
+    const now = Date.now();
+    let result;
+
+    try {
+      if (unit === "requests") {
+        await store.update(
+          key,
+          (state) => {
+            result = limiter.consume(state, now);
+            return result.state;
+          },
+          limiter.ttlMs,
+        );
+      } else {
+        // Only check that some budget is left, the answer is charged later
+        const state = await store.get(key);
+        result = {
+          ...limiter.consume(state, now),
+          remaining: limiter.peek(state, now).remaining,
+        };
+      }
+    } catch (error) {
+      // Don't take the service down with the store
+      logger.error("Rate limit store error", { error });
+      return next();
+    }
+
+    const resetAt = new Date(result.resetAt);
+    req.rateLimit = {
+      policy,
+      unit,
+      limit: limiter.limit,
+      remaining: result.remaining,
+      resetAt,
     };
-    requestStore.set(identifier, record);
-    saveRateLimits();
-    return next();
-  }
 
-  // Within the window - check limit
-  if (record.count >= RATE_LIMIT.MAX_REQUESTS) {
-    const resetTime = new Date(record.firstRequest + RATE_LIMIT.WINDOW_MS);
-    const hoursLeft = Math.ceil((resetTime - now) / (1000 * 60 * 60));
+    res.setHeader("X-RateLimit-Limit", limiter.limit);
+    res.setHeader("X-RateLimit-Remaining", result.remaining);
+    res.setHeader("X-RateLimit-Reset", resetAt.toISOString());
+    res.setHeader("X-RateLimit-Policy", `${policy}; unit=${unit}`);
 
-    console.log(`🚫 Rate limit exceeded for ${ip}`);
+    if (!result.allowed) {
+      logger.warn("Rate limit exceeded", { policy, ip: anonymizeIp(req.ip) });
+      rateLimitRejections.inc({ policy });
 
-    return res.status(429).json({
-      error: "RATE_LIMIT_EXCEEDED",
-      message: `Sizning so'rovlaringiz cheklovi tugadi. ${hoursLeft} soatdan keyin qaytadan urinib ko'ring.`,
-      resetAt: resetTime.toISOString(),
-      remaining: 0,
-    });
-  }
+      res.setHeader("Retry-After", Math.ceil(result.retryAfterMs / 1000));
+      return res.status(429).json({
+        error: "RATE_LIMIT_EXCEEDED",
+        message: `Sizning so'rovlaringiz cheklovi tugadi. ${waitText(result.retryAfterMs)} keyin qaytadan urinib ko'ring.`,
+        resetAt: resetAt.toISOString(),
+        remaining: 0,
+        unit,
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Charge an answered request to its token-based policy (or `policy`).
+ * `llm`: whether the answer called the LLM, `tokens` = what the calls
+ * used (or an estimate, when they failed or were aborted; see usageOf in
+ * services/aiService.js). Answers without an LLM call (FAQ / keyword)
+ * cost KEYWORD_ANSWER_COST. Returns the charged cost.
+ */
+export async function chargeRateLimit(
+  req,
+  { policy: name = req.rateLimit?.policy, tokens = 0, llm = tokens > 0 } = {},
+) {
+  const policy = policies[name];
+  if (!policy?.limiter || policy.unit !== "tokens") return 0;
 
-  // Increment count
-  record.count++;
-  record.lastRequest = now;
-  requestStore.set(identifier, record);
+  const cost = llm ? tokens : KEYWORD_ANSWER_COST;
+  if (cost === 0) return 0;
 
-  // Save periodically (every 5 requests to avoid too many writes)
-  if (record.count % 5 === 0) {
-    saveRateLimits();
+  try {
+    await store.update(
+      `${name}:${identify(req)}`,
+      (state) =>
+        policy.limiter.consume(state, Date.now(), cost, { force: true }).state,
+      policy.limiter.ttlMs,
+    );
+  } catch (error) {
+    logger.error("Rate limit store error", { error });
   }
 
-  // Add rate limit info to response headers
-  res.setHeader("X-RateLimit-Limit", RATE_LIMIT.MAX_REQUESTS);
-  res.setHeader(
-    "X-RateLimit-Remaining",
-    RATE_LIMIT.MAX_REQUESTS - record.count
-  );
-  res.setHeader(
-    "X-RateLimit-Reset",
-    new Date(record.firstRequest + RATE_LIMIT.WINDOW_MS).toISOString()
-  );
-
-  next();
+  return cost;
 }
 
 /**
@@ -156,27 +238,44 @@ function hashString(str) {
 }
 
 /**
- * Get current rate limit status
+ * Get current rate limit status of a policy
+ * (defaults to the one the request went through).
+ * `remaining` is in the policy's unit (requests or tokens).
  */
-export function getRateLimitStatus(req) {
-  const ip = req.ip || req.connection.remoteAddress;
-  const userAgent = req.headers["user-agent"] || "unknown";
-  const identifier = `${ip}_${hashString(userAgent)}`;
+export async function getRateLimitStatus(req, policy = req.rateLimit?.policy) {
+  const { limiter, unit = null } = policies[policy] || {};
+  if (!limiter) {
+    return { remaining: null, resetAt: null, isLimited: false, unit };
+  }
 
-  const record = requestStore.get(identifier);
-  const now = Date.now();
+  try {
+    const state = await store.get(`${policy}:${identify(req)}`);
+    const { remaining, resetAt } = limiter.peek(state, Date.now());
 
-  if (!record || now - record.firstRequest > RATE_LIMIT.WINDOW_MS) {
     return {
-      remaining: RATE_LIMIT.MAX_REQUESTS,
-      resetAt: null,
-      isLimited: false,
+      remaining,
+      resetAt: state ? new Date(resetAt) : null,
+      isLimited: remaining <= 0,
+      limit: limiter.limit,
+      unit,
     };
+  } catch (error) {
+    logger.error("Rate limit store error", { error });
+    return { remaining: null, resetAt: null, isLimited: false, unit };
   }
+}
 
-  return {
-    remaining: Math.max(0, RATE_LIMIT.MAX_REQUESTS - record.count),
-    resetAt: new Date(record.firstRequest + RATE_LIMIT.WINDOW_MS),
-    isLimited: record.count >= RATE_LIMIT.MAX_REQUESTS,
-  };
+/**
+ * Forget the limits of an IP (all policies and user agents, including
+ * keys made from the IP by a `key` option). Returns the number deleted.
+ */
+export async function purgeRateLimits(ip) {
+  let deleted = 0;
+  for (const policy of Object.keys(policies)) {
+    for (const form of ipForms(ip)) {
+      // Hashes have a fixed length, so the prefix can't match another IP
+      deleted += await store.deletePrefix(`${policy}:${pseudonymize(form)}`);
+    }
+  }
+  return deleted;
 }
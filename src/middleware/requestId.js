@@ -0,0 +1,34 @@
+// middleware/requestId.js - Give every request an id (X-Request-Id) to trace it by
+import { runWithContext, logger } from "../services/logger.js";
+import { generateId } from "./requestLogger.js";
+
+// Ids from a proxy or client are kept when they look like ids
+const VALID_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * Use the incoming X-Request-Id or make one, send it back and log
+ * everything that happens for the request under it. Answers are stored
+ * in the request log under the same id.
+ */
+export function assignRequestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  const requestId =
+    incoming && VALID_ID.test(incoming) ? incoming : generateId();
+  const start = Date.now();
+
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  runWithContext({ requestId }, () => {
+    res.on("finish", () => {
+      logger.info("Request finished", {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        durationMs: Date.now() - start,
+      });
+    });
+
+    next();
+  });
+}
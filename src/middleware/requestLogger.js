@@ -2,212 +2,185 @@
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import {
+  insertRequest,
+  aggregateRequests,
+  getLatencyPercentiles,
+  getMatchRatios,
+  countRequests,
+  deleteRequestsBefore,
+  clearClientInfoBefore,
+} from "../services/requestLog.js";
+import { deleteAuthEventsBefore } from "../services/auditLog.js";
+import { answers, answerDuration, errors } from "../services/metrics.js";
+import { logger, getRequestId } from "../services/logger.js";
+import { protectEntry } from "../services/privacy.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Logs from before the database, brought in by "npm run import:logs"
 const LOG_DIR = path.join(__dirname, "../logs");
-const REQUESTS_LOG = path.join(LOG_DIR, "requests.json");
-const DAILY_LOG_DIR = path.join(LOG_DIR, "daily");
-
-// Create log directories if they don't exist
-if (!fs.existsSync(LOG_DIR)) {
-  fs.mkdirSync(LOG_DIR, { recursive: true });
-}
+const LEGACY_LOGS = ["daily", "daily.migrated", "requests"].map((dir) =>
+  path.join(LOG_DIR, dir),
+);
 
-if (!fs.existsSync(DAILY_LOG_DIR)) {
-  fs.mkdirSync(DAILY_LOG_DIR, { recursive: true });
+function parseRetention(value, fallback) {
+  const days = parseInt(value);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
 }
 
-// Initialize requests log file
-if (!fs.existsSync(REQUESTS_LOG)) {
-  fs.writeFileSync(REQUESTS_LOG, JSON.stringify({ requests: [] }, null, 2));
+// Days each log is kept (0 = forever). Client info (IP, user agent) can
+// be dropped earlier than the queries themselves.
+export const RETENTION_DAYS = {
+  requests: parseRetention(process.env.RETENTION_REQUESTS_DAYS, 30),
+  clientInfo: parseRetention(process.env.RETENTION_CLIENT_INFO_DAYS, 30),
+  authEvents: parseRetention(process.env.RETENTION_AUTH_EVENTS_DAYS, 90),
+};
+
+if (LEGACY_LOGS.some((dir) => fs.existsSync(dir)) && countRequests() === 0) {
+  logger.info(
+    'Found request logs from before the database, run "npm run import:logs" to bring them in',
+  );
 }
 
 /**
- * Log a request with all details
+ * Log a request with all details. The entry's id is the request's
+ * X-Request-Id (see middleware/requestId.js), which the client also
+ * sends back with feedback. Personal data is removed before storage
+ * (see services/privacy.js).
  */
 export function logRequest({
+  id = getRequestId() || generateId(),
   query,
+  answer = null,
+  intent = null,
+  matchedBy = null,
   model,
   responseType,
   tokens = null,
   ip,
   userAgent,
+  sessionId = null,
+  language = null,
   processingTime,
   error = null,
 }) {
   const timestamp = new Date();
-  const logEntry = {
-    id: generateId(),
+  const logEntry = protectEntry({
+    id,
     timestamp: timestamp.toISOString(),
     date: timestamp.toLocaleDateString("en-US"),
     time: timestamp.toLocaleTimeString("en-US"),
     query,
+    answer,
+    intent,
+    matchedBy,
     model,
     responseType,
     tokens,
     ip,
     userAgent,
+    sessionId,
+    language,
     processingTime: `${processingTime}ms`,
+    processingTimeMs: processingTime,
     error,
-  };
-
-  // Append to main log file
-  appendToMainLog(logEntry);
-
-  // Append to daily log file
-  appendToDailyLog(logEntry, timestamp);
+  });
 
-  // Console output
-  console.log(
-    `📊 [${logEntry.time}] ${model} | ${responseType} | "${query.substring(
-      0,
-      50,
-    )}..." | ${processingTime}ms`,
-  );
-
-  return logEntry;
-}
-
-/**
- * Append to main requests.json
- */
-function appendToMainLog(entry) {
+  // Store in the request log. An id already stored (a client reusing
+  // its X-Request-Id) gets a fresh one.
   try {
-    const data = JSON.parse(fs.readFileSync(REQUESTS_LOG, "utf-8"));
-    data.requests.push(entry);
-
-    // Keep only last 1000 requests in main file
-    if (data.requests.length > 1000) {
-      data.requests = data.requests.slice(-1000);
+    if (!insertRequest(logEntry)) {
+      logEntry.id = generateId();
+      logger.warn("Request id already logged, stored under a new id", {
+        logId: logEntry.id,
+      });
+      insertRequest(logEntry);
     }
-
-    fs.writeFileSync(REQUESTS_LOG, JSON.stringify(data, null, 2));
   } catch (error) {
-    console.error("Error writing to main log:", error);
+    logger.error("Error writing request log", { error });
   }
-}
-
-/**
- * Append to daily log file (YYYY-MM-DD.json)
- */
-function appendToDailyLog(entry, timestamp) {
-  try {
-    const dateStr = timestamp.toISOString().split("T")[0]; // YYYY-MM-DD
-    const dailyLogFile = path.join(DAILY_LOG_DIR, `${dateStr}.json`);
 
-    let dailyData = { date: dateStr, requests: [] };
+  answers.inc({ type: responseType, model });
+  answerDuration.observe({ type: responseType }, processingTime / 1000);
+  if (error) errors.inc({ type: responseType });
 
-    if (fs.existsSync(dailyLogFile)) {
-      dailyData = JSON.parse(fs.readFileSync(dailyLogFile, "utf-8"));
-    }
+  logger.info("Request logged", {
+    logId: logEntry.id === getRequestId() ? undefined : logEntry.id,
+    model,
+    responseType,
+    intent: intent || undefined,
+    matchedBy: matchedBy || undefined,
+    tokens,
+    processingTimeMs: processingTime,
+    error: error || undefined,
+  });
 
-    dailyData.requests.push(entry);
-    fs.writeFileSync(dailyLogFile, JSON.stringify(dailyData, null, 2));
-  } catch (error) {
-    console.error("Error writing to daily log:", error);
-  }
+  return logEntry;
 }
 
 /**
  * Generate unique ID
  */
-function generateId() {
+export function generateId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
 /**
- * Get statistics
+ * Get statistics: totals, counts by type / model, latency percentiles
+ * and keyword vs AI matching
  */
 export function getStats(days = 7) {
   try {
-    const data = JSON.parse(fs.readFileSync(REQUESTS_LOG, "utf-8"));
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - days);
+    const filters = { from: cutoffDate };
 
-    const recentRequests = data.requests.filter(
-      (r) => new Date(r.timestamp) > cutoffDate,
-    );
-
-    const stats = {
-      totalRequests: recentRequests.length,
-      byType: {},
-      byModel: {},
-      avgProcessingTime: 0,
-      errors: 0,
-      totalTokens: 0,
+    return {
+      ...aggregateRequests(filters),
+      latency: getLatencyPercentiles(filters),
+      matching: getMatchRatios(filters),
     };
-
-    let totalTime = 0;
-
-    recentRequests.forEach((r) => {
-      // Count by type
-      stats.byType[r.responseType] = (stats.byType[r.responseType] || 0) + 1;
-
-      // Count by model
-      stats.byModel[r.model] = (stats.byModel[r.model] || 0) + 1;
-
-      // Sum processing time
-      totalTime += parseInt(r.processingTime);
-
-      // Count errors
-      if (r.error) stats.errors++;
-
-      // Sum tokens
-      if (r.tokens) stats.totalTokens += r.tokens;
-    });
-
-    stats.avgProcessingTime =
-      recentRequests.length > 0
-        ? Math.round(totalTime / recentRequests.length)
-        : 0;
-
-    return stats;
   } catch (error) {
-    console.error("Error getting stats:", error);
+    logger.error("Error getting stats", { error });
     return null;
   }
 }
 
 /**
- * Clean old logs (keep last 30 days)
+ * Delete what is past its retention (see RETENTION_DAYS).
+ * Returns the number of entries deleted or cleared per log.
  */
-export function cleanOldLogs(daysToKeep = 30) {
-  try {
-    const files = fs.readdirSync(DAILY_LOG_DIR);
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-    let cleaned = 0;
-
-    files.forEach((file) => {
-      if (!file.endsWith(".json")) return;
+export function cleanOldLogs() {
+  const cutoff = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const cleaned = { requests: 0, clientInfo: 0, authEvents: 0 };
 
-      const dateStr = file.replace(".json", "");
-      const fileDate = new Date(dateStr);
-
-      if (fileDate < cutoffDate) {
-        fs.unlinkSync(path.join(DAILY_LOG_DIR, file));
-        cleaned++;
-      }
-    });
-
-    if (cleaned > 0) {
-      console.log(`🧹 Cleaned ${cleaned} old log files`);
+  try {
+    if (RETENTION_DAYS.requests) {
+      cleaned.requests = deleteRequestsBefore(cutoff(RETENTION_DAYS.requests));
+    }
+    if (RETENTION_DAYS.clientInfo) {
+      cleaned.clientInfo = clearClientInfoBefore(
+        cutoff(RETENTION_DAYS.clientInfo),
+      );
+    }
+    if (RETENTION_DAYS.authEvents) {
+      cleaned.authEvents = deleteAuthEventsBefore(
+        cutoff(RETENTION_DAYS.authEvents),
+      );
     }
 
-    return cleaned;
+    if (Object.values(cleaned).some(Boolean)) {
+      logger.info("Cleaned old logs", cleaned);
+    }
   } catch (error) {
-    console.error("Error cleaning logs:", error);
-    return 0;
+    logger.error("Error cleaning logs", { error });
   }
+
+  return cleaned;
 }
 
-// Auto-clean logs every 24 hours
-setInterval(
-  () => {
-    cleanOldLogs(30);
-  },
-  24 * 60 * 60 * 1000,
-);
+// Clean at startup, then every 24 hours
+cleanOldLogs();
+setInterval(cleanOldLogs, 24 * 60 * 60 * 1000).unref();
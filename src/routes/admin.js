@@ -0,0 +1,217 @@
+// routes/admin.js - Manage FAQ entries and siteMap intents without a restart
+import express from "express";
+import net from "net";
+import { requireAdmin } from "../middleware/adminAuth.js";
+import {
+  KnowledgeBaseError,
+  getFaqs,
+  getFaq,
+  createFaq,
+  updateFaq,
+  deleteFaq,
+  getSiteMap,
+  getSiteMapEntry,
+  createSiteMapEntry,
+  updateSiteMapEntry,
+  deleteSiteMapEntry,
+  addSiteMapKeyword,
+  getChangeHistory,
+} from "../services/knowledgeBase.js";
+import { logger } from "../services/logger.js";
+import { anonymizeIp } from "../services/privacy.js";
+import { purgeRecords, PurgeError } from "../services/purge.js";
+import { purgeRateLimits } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * Who made a change, for the history log
+ */
+function actorOf(req) {
+  return {
+    username: req.user?.username || null,
+    ip: anonymizeIp(req.ip),
+    userAgent: req.headers["user-agent"] || null,
+  };
+}
+
+/**
+ * Run an edit and answer with its result or the matching error status
+ */
+function handleEdit(res, edit, status = 200) {
+  try {
+    res.status(status).json({ success: true, entry: edit() });
+  } catch (error) {
+    if (error instanceof KnowledgeBaseError) {
+      return res
+        .status(error.status)
+        .json({ error: error.message, details: error.details });
+    }
+
+    logger.error("Admin edit error", { error });
+    res.status(500).json({ error: "Failed to save changes" });
+  }
+}
+
+// ==== FAQ ====
+
+/**
+ * GET /api/admin/faqs
+ */
+router.get("/faqs", (req, res) => {
+  res.json({ total: getFaqs().length, faqs: getFaqs() });
+});
+
+/**
+ * GET /api/admin/faqs/:id
+ */
+router.get("/faqs/:id", (req, res) => {
+  const faq = getFaq(req.params.id);
+  if (!faq) return res.status(404).json({ error: "FAQ not found" });
+  res.json(faq);
+});
+
+/**
+ * POST /api/admin/faqs - Create an FAQ entry
+ */
+router.post("/faqs", (req, res) => {
+  handleEdit(res, () => createFaq(req.body, actorOf(req)), 201);
+});
+
+/**
+ * PUT /api/admin/faqs/:id - Replace an FAQ entry
+ */
+router.put("/faqs/:id", (req, res) => {
+  handleEdit(res, () => updateFaq(req.params.id, req.body, actorOf(req)));
+});
+
+/**
+ * DELETE /api/admin/faqs/:id
+ */
+router.delete("/faqs/:id", (req, res) => {
+  handleEdit(res, () => deleteFaq(req.params.id, actorOf(req)));
+});
+
+// ==== SITEMAP ====
+
+/**
+ * GET /api/admin/sitemap
+ */
+router.get("/sitemap", (req, res) => {
+  res.json({ total: getSiteMap().length, items: getSiteMap() });
+});
+
+/**
+ * GET /api/admin/sitemap/:intent
+ */
+router.get("/sitemap/:intent", (req, res) => {
+  const item = getSiteMapEntry(req.params.intent);
+  if (!item) return res.status(404).json({ error: "Intent not found" });
+  res.json(item);
+});
+
+/**
+ * POST /api/admin/sitemap - Create a siteMap intent
+ */
+router.post("/sitemap", (req, res) => {
+  handleEdit(res, () => createSiteMapEntry(req.body, actorOf(req)), 201);
+});
+
+/**
+ * PUT /api/admin/sitemap/:intent - Replace a siteMap intent
+ */
+router.put("/sitemap/:intent", (req, res) => {
+  handleEdit(res, () =>
+    updateSiteMapEntry(req.params.intent, req.body, actorOf(req)),
+  );
+});
+
+/**
+ * POST /api/admin/sitemap/:intent/keywords - Add one keyword
+ * Body: { keyword, language }
+ */
+router.post("/sitemap/:intent/keywords", (req, res) => {
+  handleEdit(
+    res,
+    () =>
+      addSiteMapKeyword(
+        req.params.intent,
+        req.body?.language,
+        req.body?.keyword,
+        actorOf(req),
+      ),
+    201,
+  );
+});
+
+/**
+ * DELETE /api/admin/sitemap/:intent
+ */
+router.delete("/sitemap/:intent", (req, res) => {
+  handleEdit(res, () => deleteSiteMapEntry(req.params.intent, actorOf(req)));
+});
+
+// ==== HISTORY ====
+
+/**
+ * GET /api/admin/history - Content changes, most recent first
+ * Query: limit, collection (faq | siteMap), id
+ */
+router.get("/history", (req, res) => {
+  const { limit = 50, collection, id } = req.query;
+  const changes = getChangeHistory({
+    limit: parseInt(limit) || 50,
+    collection,
+    id,
+  });
+  res.json({ showing: changes.length, changes });
+});
+
+// ==== PRIVACY ====
+
+/**
+ * POST /api/admin/purge - Delete everything logged for a chat session
+ * or an IP (in the body, so it stays out of access logs), and the IP's
+ * rate limits. Refused for IPs while LOG_IP_MODE=truncate.
+ * Body: { sessionId?, ip? }
+ */
+router.post("/purge", async (req, res) => {
+  const { sessionId, ip } = req.body || {};
+
+  if (sessionId !== undefined && typeof sessionId !== "string") {
+    return res.status(400).json({ error: "sessionId must be a string" });
+  }
+  if (ip !== undefined && !net.isIP(String(ip))) {
+    return res
+      .status(400)
+      .json({ error: "ip must be an IPv4 or IPv6 address" });
+  }
+  if (!sessionId?.trim() && !ip) {
+    return res.status(400).json({ error: "Give a sessionId or an ip" });
+  }
+
+  try {
+    const purged = {
+      ...purgeRecords({ sessionId: sessionId?.trim(), ip }),
+      rateLimits: ip ? await purgeRateLimits(ip) : 0,
+    };
+
+    // Who purged and how much, not whose records
+    logger.info("Purged records", {
+      by: req.user?.username || "api-key",
+      ...purged,
+    });
+    res.json({ success: true, purged });
+  } catch (error) {
+    if (error instanceof PurgeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error("Purge error", { error });
+    res.status(500).json({ error: "Failed to purge records" });
+  }
+});
+
+export default router;
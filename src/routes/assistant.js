@@ -4,44 +4,185 @@ import {
   detectNavigation,
   generateChatResponse,
   generateGeneralChat,
+  streamChatResponse,
+  streamGeneralChat,
+  usageOf,
 } from "../services/aiService.js";
-import { rateLimiter, getRateLimitStatus } from "../middleware/rateLimiter.js";
+import {
+  rateLimit,
+  chargeRateLimit,
+  getRateLimitStatus,
+} from "../middleware/rateLimiter.js";
 import { logRequest, getStats } from "../middleware/requestLogger.js";
+import { requireRole } from "../middleware/auth.js";
+import { getBudgetStatus } from "../services/budget.js";
+import { saveFeedback, FeedbackError } from "../services/feedback.js";
+import {
+  getOrCreateSession,
+  getHistory,
+  addTurn,
+  getSessionCount,
+} from "../services/sessionStore.js";
+import { resolveLanguage, localize } from "../services/language.js";
+import { logger } from "../services/logger.js";
+import { redactText, anonymizeIp } from "../services/privacy.js";
 
 const router = express.Router();
 
-router.use(rateLimiter);
+/**
+ * Validate a chat query, returns an error message or null
+ */
+function validateQuery(query) {
+  if (!query || typeof query !== "string") {
+    return "Query is required";
+  }
+
+  const trimmedQuery = query.trim();
+  if (trimmedQuery.length === 0) {
+    return "Bo'sh xabar yuborib bo'lmaydi";
+  }
+
+  if (trimmedQuery.length > 500) {
+    return "Xabar juda uzun (maksimal 500 belgi)";
+  }
+
+  return null;
+}
+
+/**
+ * Open a Server-Sent Events response
+ */
+function startEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // disable nginx buffering
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one SSE event (ignored once the client is gone)
+ */
+function sendEvent(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Ranked navigation candidates with localized titles
+ */
+function formatCandidates(candidates = [], language) {
+  return candidates.map((c) => ({
+    url: c.url,
+    intent: c.intent,
+    title: localize(c.title, language) || c.intent,
+    ...(c.confidence !== undefined && {
+      score: c.score,
+      confidence: c.confidence,
+    }),
+  }));
+}
+
+/**
+ * Response type and FAQ/navigation details of a detection result
+ */
+function describeDetection(detectionResult, language) {
+  if (detectionResult && detectionResult.type === "FAQ") {
+    return {
+      type: "FAQ",
+      faq: {
+        id: detectionResult.faq.id,
+        question: localize(detectionResult.faq.question, language),
+        category: detectionResult.faq.category,
+      },
+    };
+  }
+
+  if (
+    detectionResult &&
+    detectionResult.type === "NAVIGATION" &&
+    detectionResult.matched &&
+    detectionResult.url !== "NOT_FOUND"
+  ) {
+    return {
+      type: "NAVIGATION",
+      navigation: {
+        url: detectionResult.url,
+        intent: detectionResult.intent,
+        title: localize(detectionResult.title, language),
+      },
+    };
+  }
+
+  if (detectionResult && detectionResult.type === "CLARIFY") {
+    return {
+      type: "CLARIFY",
+      candidates: formatCandidates(detectionResult.candidates, language),
+    };
+  }
+
+  return { type: "CHAT" };
+}
+
+/**
+ * Response type to log: queries nothing matched are answered by the
+ * general chat (CHAT), unless the LLM is off (NOT_FOUND)
+ */
+function loggedType(detectionResult, aiResponse) {
+  if (detectionResult?.type === "NOT_FOUND" && !aiResponse?.keywordOnly) {
+    return "CHAT";
+  }
+  return detectionResult?.type;
+}
+
+/**
+ * FAQ id or siteMap intent an answer came from, for the log (feedback
+ * is grouped by it)
+ */
+function intentOf(detectionResult) {
+  if (detectionResult?.type === "FAQ") return detectionResult.faq.id;
+  if (
+    detectionResult?.type === "NAVIGATION" &&
+    detectionResult.matched &&
+    detectionResult.url !== "NOT_FOUND"
+  ) {
+    return detectionResult.intent;
+  }
+  return null;
+}
 
 /**
  * POST /api/assistant/chat
  * Main chat endpoint with logging
  */
-router.post("/chat", async (req, res) => {
+router.post("/chat", rateLimit("chat"), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { query } = req.body;
+    const { query, sessionId } = req.body || {};
 
-    if (!query || typeof query !== "string") {
+    const validationError = validateQuery(query);
+    if (validationError) {
       return res.status(400).json({
-        error: "Query is required",
+        error: validationError,
       });
     }
 
     const trimmedQuery = query.trim();
-    if (trimmedQuery.length === 0) {
-      return res.status(400).json({
-        error: "Bo'sh xabar yuborib bo'lmaydi",
-      });
-    }
 
-    if (trimmedQuery.length > 500) {
-      return res.status(400).json({
-        error: "Xabar juda uzun (maksimal 500 belgi)",
-      });
-    }
+    logger.info("Chat query", {
+      ip: anonymizeIp(req.ip),
+      query: redactText(trimmedQuery),
+    });
 
-    console.log(`📨 New query from ${req.ip}: "${trimmedQuery}"`);
+    const session = getOrCreateSession(sessionId);
+    const language = resolveLanguage(
+      req.body?.language,
+      trimmedQuery,
+      session.language,
+    );
 
     // Detect navigation/FAQ
     const detectionResult = await detectNavigation(trimmedQuery);
@@ -50,32 +191,62 @@ router.post("/chat", async (req, res) => {
     const aiResponse = await generateChatResponse(
       trimmedQuery,
       detectionResult,
+      getHistory(session),
+      language,
     );
 
     const processingTime = Date.now() - startTime;
 
+    const isNavigation =
+      detectionResult &&
+      detectionResult.type === "NAVIGATION" &&
+      detectionResult.matched &&
+      detectionResult.url !== "NOT_FOUND";
+
+    // Remember this turn for follow-up questions
+    addTurn(session, {
+      query: trimmedQuery,
+      message: aiResponse.message || aiResponse,
+      type: detectionResult.type,
+      faq: detectionResult.type === "FAQ" ? detectionResult.faq : null,
+      navigation: isNavigation ? detectionResult : null,
+      candidates:
+        detectionResult.type === "CLARIFY" ? detectionResult.candidates : null,
+      language,
+    });
+
     // Log the request
-    logRequest({
+    const { id: requestId } = logRequest({
       query: trimmedQuery,
+      answer: aiResponse.message || null,
+      intent: intentOf(detectionResult),
+      matchedBy: detectionResult.matchedBy,
       model: aiResponse.model || detectionResult.model || "unknown",
-      responseType: detectionResult.type,
+      responseType: loggedType(detectionResult, aiResponse),
       tokens: aiResponse.tokens || detectionResult.tokens || 0,
       ip: req.ip,
       userAgent: req.headers["user-agent"] || "unknown",
+      sessionId: session.id,
+      language,
       processingTime,
       error: aiResponse.error || null,
     });
 
-    const rateLimitStatus = getRateLimitStatus(req);
+    // Charge the answer to the chat budget (detection + reply tokens)
+    await chargeRateLimit(req, usageOf(detectionResult, aiResponse));
+    const rateLimitStatus = await getRateLimitStatus(req);
 
     // Return FAQ answer
     if (detectionResult && detectionResult.type === "FAQ") {
       return res.json({
         message: aiResponse.message || aiResponse,
         type: "FAQ",
+        requestId,
+        sessionId: session.id,
+        language,
         faq: {
           id: detectionResult.faq.id,
-          question: detectionResult.faq.question,
+          question: localize(detectionResult.faq.question, language),
           category: detectionResult.faq.category,
         },
         meta: {
@@ -85,24 +256,24 @@ router.post("/chat", async (req, res) => {
         },
         rateLimit: {
           remaining: rateLimitStatus.remaining,
+          unit: rateLimitStatus.unit,
           resetAt: rateLimitStatus.resetAt,
         },
       });
     }
 
     // Return navigation response
-    if (
-      detectionResult &&
-      detectionResult.type === "NAVIGATION" &&
-      detectionResult.matched &&
-      detectionResult.url !== "NOT_FOUND"
-    ) {
+    if (isNavigation) {
       return res.json({
         message: aiResponse.message || aiResponse,
         type: "NAVIGATION",
+        requestId,
+        sessionId: session.id,
+        language,
         navigation: {
           url: detectionResult.url,
           intent: detectionResult.intent,
+          title: localize(detectionResult.title, language),
         },
         meta: {
           model: aiResponse.model || detectionResult.model || "unknown",
@@ -111,6 +282,29 @@ router.post("/chat", async (req, res) => {
         },
         rateLimit: {
           remaining: rateLimitStatus.remaining,
+          unit: rateLimitStatus.unit,
+          resetAt: rateLimitStatus.resetAt,
+        },
+      });
+    }
+
+    // Several sections match equally well - let the user choose
+    if (detectionResult && detectionResult.type === "CLARIFY") {
+      return res.json({
+        message: aiResponse.message || aiResponse,
+        type: "CLARIFY",
+        requestId,
+        sessionId: session.id,
+        language,
+        candidates: formatCandidates(detectionResult.candidates, language),
+        meta: {
+          model: aiResponse.model || "keyword-match",
+          tokens: aiResponse.tokens || 0,
+          processingTime: `${processingTime}ms`,
+        },
+        rateLimit: {
+          remaining: rateLimitStatus.remaining,
+          unit: rateLimitStatus.unit,
           resetAt: rateLimitStatus.resetAt,
         },
       });
@@ -120,6 +314,9 @@ router.post("/chat", async (req, res) => {
     return res.json({
       message: aiResponse.message || aiResponse,
       type: "CHAT",
+      requestId,
+      sessionId: session.id,
+      language,
       meta: {
         model: aiResponse.model || "unknown",
         tokens: aiResponse.tokens || 0,
@@ -127,17 +324,18 @@ router.post("/chat", async (req, res) => {
       },
       rateLimit: {
         remaining: rateLimitStatus.remaining,
+        unit: rateLimitStatus.unit,
         resetAt: rateLimitStatus.resetAt,
       },
     });
   } catch (err) {
     const processingTime = Date.now() - startTime;
 
-    console.error("Chat error:", err);
+    logger.error("Chat error", { error: err });
 
     // Log error
     logRequest({
-      query: req.body.query || "unknown",
+      query: req.body?.query || "unknown",
       model: "error",
       responseType: "ERROR",
       tokens: 0,
@@ -157,44 +355,74 @@ router.post("/chat", async (req, res) => {
 /**
  * POST /api/assistant/navigate
  */
-router.post("/navigate", async (req, res) => {
+router.post("/navigate", rateLimit("navigation"), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { query } = req.body;
+    const { query } = req.body || {};
 
-    if (!query || typeof query !== "string") {
+    const validationError = validateQuery(query);
+    if (validationError) {
       return res.status(400).json({
-        error: "Query is required",
+        error: validationError,
       });
     }
 
-    console.log(`🧭 Navigation query from ${req.ip}: "${query}"`);
+    logger.info("Navigation query", {
+      ip: anonymizeIp(req.ip),
+      query: redactText(query),
+    });
+
+    const language = resolveLanguage(req.body?.language, query);
 
-    const result = await detectNavigation(query);
+    // The AI fallback is paid from the chat budget: skip it once that's spent
+    const chatBudget = await getRateLimitStatus(req, "chat");
+    const result = await detectNavigation(query, {
+      ai: !chatBudget.isLimited,
+    });
     const processingTime = Date.now() - startTime;
 
+    // Ambiguous queries still navigate to the best section,
+    // the full ranking goes along as candidates
+    const isNavigation =
+      result &&
+      ((result.type === "NAVIGATION" && result.url !== "NOT_FOUND") ||
+        result.type === "CLARIFY");
+    const top = result.type === "CLARIFY" ? result.candidates[0] : result;
+
     // Log the request
-    logRequest({
+    const { id: requestId } = logRequest({
       query,
+      answer: isNavigation ? top.url : null,
+      intent: isNavigation ? top.intent : null,
+      matchedBy: result.matchedBy,
       model: result.model || "keyword-match",
-      responseType: result.type === "NAVIGATION" ? "NAVIGATION" : "NOT_FOUND",
+      responseType: isNavigation ? "NAVIGATION" : "NOT_FOUND",
       tokens: result.tokens || 0,
       ip: req.ip,
       userAgent: req.headers["user-agent"] || "unknown",
+      language,
       processingTime,
     });
 
-    const rateLimitStatus = getRateLimitStatus(req);
+    const usage = usageOf(result);
+    if (usage.llm) {
+      await chargeRateLimit(req, { policy: "chat", ...usage });
+    }
+    const rateLimitStatus = await getRateLimitStatus(req);
 
-    if (!result || result.type !== "NAVIGATION" || result.url === "NOT_FOUND") {
+    if (!isNavigation) {
       return res.json({
         type: "NOT_FOUND",
+        requestId,
+        language,
+        candidates: [],
         meta: {
           processingTime: `${processingTime}ms`,
         },
         rateLimit: {
           remaining: rateLimitStatus.remaining,
+          unit: rateLimitStatus.unit,
           resetAt: rateLimitStatus.resetAt,
         },
       });
@@ -202,8 +430,13 @@ router.post("/navigate", async (req, res) => {
 
     return res.json({
       type: "NAVIGATE",
-      url: result.url,
-      intent: result.intent,
+      requestId,
+      language,
+      url: top.url,
+      intent: top.intent,
+      title: localize(top.title, language),
+      ambiguous: result.type === "CLARIFY",
+      candidates: formatCandidates(result.candidates, language),
       meta: {
         model: result.model || "keyword-match",
         tokens: result.tokens || 0,
@@ -211,16 +444,17 @@ router.post("/navigate", async (req, res) => {
       },
       rateLimit: {
         remaining: rateLimitStatus.remaining,
+        unit: rateLimitStatus.unit,
         resetAt: rateLimitStatus.resetAt,
       },
     });
   } catch (err) {
     const processingTime = Date.now() - startTime;
 
-    console.error("Navigate error:", err);
+    logger.error("Navigate error", { error: err });
 
     logRequest({
-      query: req.body.query || "unknown",
+      query: req.body?.query || "unknown",
       model: "error",
       responseType: "ERROR",
       tokens: 0,
@@ -240,53 +474,72 @@ router.post("/navigate", async (req, res) => {
 /**
  * POST /api/assistant/talk
  */
-router.post("/talk", async (req, res) => {
+router.post("/talk", rateLimit("chat"), async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { query } = req.body;
+    const { query, sessionId } = req.body || {};
 
-    if (!query || typeof query !== "string") {
+    const validationError = validateQuery(query);
+    if (validationError) {
       return res.status(400).json({
-        error: "Query is required",
+        error: validationError,
       });
     }
 
     const trimmedQuery = query.trim();
-    if (trimmedQuery.length === 0) {
-      return res.status(400).json({
-        error: "Bo'sh xabar yuborib bo'lmaydi",
-      });
-    }
 
-    if (trimmedQuery.length > 500) {
-      return res.status(400).json({
-        error: "Xabar juda uzun (maksimal 500 belgi)",
-      });
-    }
+    logger.info("Talk query", {
+      ip: anonymizeIp(req.ip),
+      query: redactText(trimmedQuery),
+    });
 
-    console.log(`💬 Talk query from ${req.ip}: "${trimmedQuery}"`);
+    const session = getOrCreateSession(sessionId);
+    const language = resolveLanguage(
+      req.body?.language,
+      trimmedQuery,
+      session.language,
+    );
 
-    const aiResponse = await generateGeneralChat(trimmedQuery);
+    const aiResponse = await generateGeneralChat(
+      trimmedQuery,
+      getHistory(session),
+      language,
+    );
     const processingTime = Date.now() - startTime;
 
+    addTurn(session, {
+      query: trimmedQuery,
+      message: aiResponse.message || aiResponse,
+      type: "CHAT",
+      language,
+    });
+
     // Log the request
-    logRequest({
+    const { id: requestId } = logRequest({
       query: trimmedQuery,
+      answer: aiResponse.message || null,
       model: aiResponse.model || "unknown",
       responseType: "CHAT",
       tokens: aiResponse.tokens || 0,
       ip: req.ip,
       userAgent: req.headers["user-agent"] || "unknown",
+      sessionId: session.id,
+      language,
       processingTime,
       error: aiResponse.error || null,
     });
 
-    const rateLimitStatus = getRateLimitStatus(req);
+    // Charge the answer to the chat budget
+    await chargeRateLimit(req, usageOf(aiResponse));
+    const rateLimitStatus = await getRateLimitStatus(req);
 
     return res.json({
       message: aiResponse.message || aiResponse,
       type: "CHAT",
+      requestId,
+      sessionId: session.id,
+      language,
       meta: {
         model: aiResponse.model || "unknown",
         tokens: aiResponse.tokens || 0,
@@ -294,16 +547,17 @@ router.post("/talk", async (req, res) => {
       },
       rateLimit: {
         remaining: rateLimitStatus.remaining,
+        unit: rateLimitStatus.unit,
         resetAt: rateLimitStatus.resetAt,
       },
     });
   } catch (err) {
     const processingTime = Date.now() - startTime;
 
-    console.error("Talk error:", err);
+    logger.error("Talk error", { error: err });
 
     logRequest({
-      query: req.body.query || "unknown",
+      query: req.body?.query || "unknown",
       model: "error",
       responseType: "ERROR",
       tokens: 0,
@@ -320,11 +574,298 @@ router.post("/talk", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/assistant/chat/stream
+ * Same as /chat, streamed as text/event-stream:
+ *   detection → token* → done (or error)
+ */
+router.post("/chat/stream", rateLimit("chat"), async (req, res) => {
+  const startTime = Date.now();
+  const { query, sessionId } = req.body || {};
+
+  const validationError = validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError,
+    });
+  }
+
+  const trimmedQuery = query.trim();
+  const session = getOrCreateSession(sessionId);
+  const language = resolveLanguage(
+    req.body?.language,
+    trimmedQuery,
+    session.language,
+  );
+
+  // Stop generating when the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let detectionResult = null;
+  let aiResponse = null;
+  let error = null;
+
+  // Logged before "done", so it carries the id the answer was stored
+  // under (a reused X-Request-Id gets a new one); otherwise once the
+  // stream is over, even if the client disconnected
+  let logged = null;
+  const logOnce = () => {
+    logged ??= logRequest({
+      id: req.id,
+      query: trimmedQuery,
+      answer: aiResponse?.message || null,
+      intent: error ? null : intentOf(detectionResult),
+      matchedBy: detectionResult?.matchedBy,
+      model: error
+        ? "error"
+        : aiResponse?.model || detectionResult?.model || "unknown",
+      responseType: error ? "ERROR" : loggedType(detectionResult, aiResponse),
+      tokens: aiResponse?.tokens || detectionResult?.tokens || 0,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || "unknown",
+      sessionId: session.id,
+      language,
+      processingTime: Date.now() - startTime,
+      error: error || aiResponse?.error || null,
+    });
+    return logged.id;
+  };
+
+  try {
+    logger.info("Chat stream query", {
+      ip: anonymizeIp(req.ip),
+      query: redactText(trimmedQuery),
+    });
+
+    detectionResult = await detectNavigation(trimmedQuery);
+    const detection = describeDetection(detectionResult, language);
+
+    startEventStream(res);
+    sendEvent(res, "detection", {
+      ...detection,
+      sessionId: session.id,
+      language,
+    });
+
+    aiResponse = await streamChatResponse(
+      trimmedQuery,
+      detectionResult,
+      getHistory(session),
+      language,
+      {
+        onToken: (content) => sendEvent(res, "token", { content }),
+        signal: controller.signal,
+      },
+    );
+
+    if (!aiResponse.aborted) {
+      addTurn(session, {
+        query: trimmedQuery,
+        message: aiResponse.message,
+        type: detectionResult.type,
+        faq: detection.faq ? detectionResult.faq : null,
+        navigation: detection.navigation ? detectionResult : null,
+        candidates: detection.candidates ? detectionResult.candidates : null,
+        language,
+      });
+    }
+
+    // Charge the answer to the chat budget (detection + reply tokens)
+    await chargeRateLimit(req, usageOf(detectionResult, aiResponse));
+    const rateLimitStatus = await getRateLimitStatus(req);
+
+    sendEvent(res, "done", {
+      message: aiResponse.message,
+      type: detection.type,
+      requestId: logOnce(),
+      sessionId: session.id,
+      language,
+      meta: {
+        model: aiResponse.model || detectionResult.model || "unknown",
+        tokens: aiResponse.tokens || detectionResult.tokens || 0,
+        processingTime: `${Date.now() - startTime}ms`,
+      },
+      rateLimit: {
+        remaining: rateLimitStatus.remaining,
+        unit: rateLimitStatus.unit,
+        resetAt: rateLimitStatus.resetAt,
+      },
+    });
+    res.end();
+  } catch (err) {
+    logger.error("Chat stream error", { error: err });
+    error = err.message;
+
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: "Internal server error",
+        message: "Kechirasiz, xatolik yuz berdi. Qaytadan urinib ko'ring.",
+      });
+    } else {
+      sendEvent(res, "error", {
+        error: "Internal server error",
+        message: "Kechirasiz, xatolik yuz berdi. Qaytadan urinib ko'ring.",
+      });
+      res.end();
+    }
+  } finally {
+    logOnce();
+  }
+});
+
+/**
+ * POST /api/assistant/talk/stream
+ * Same as /talk, streamed as text/event-stream
+ */
+router.post("/talk/stream", rateLimit("chat"), async (req, res) => {
+  const startTime = Date.now();
+  const { query, sessionId } = req.body || {};
+
+  const validationError = validateQuery(query);
+  if (validationError) {
+    return res.status(400).json({
+      error: validationError,
+    });
+  }
+
+  const trimmedQuery = query.trim();
+  const session = getOrCreateSession(sessionId);
+  const language = resolveLanguage(
+    req.body?.language,
+    trimmedQuery,
+    session.language,
+  );
+
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let aiResponse = null;
+  let error = null;
+
+  // Before "done" or once the stream is over, as in /chat/stream
+  let logged = null;
+  const logOnce = () => {
+    logged ??= logRequest({
+      id: req.id,
+      query: trimmedQuery,
+      answer: aiResponse?.message || null,
+      model: error ? "error" : aiResponse?.model || "unknown",
+      responseType: error ? "ERROR" : "CHAT",
+      tokens: aiResponse?.tokens || 0,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"] || "unknown",
+      sessionId: session.id,
+      language,
+      processingTime: Date.now() - startTime,
+      error: error || aiResponse?.error || null,
+    });
+    return logged.id;
+  };
+
+  try {
+    logger.info("Talk stream query", {
+      ip: anonymizeIp(req.ip),
+      query: redactText(trimmedQuery),
+    });
+
+    startEventStream(res);
+    sendEvent(res, "detection", {
+      type: "CHAT",
+      sessionId: session.id,
+      language,
+    });
+
+    aiResponse = await streamGeneralChat(
+      trimmedQuery,
+      getHistory(session),
+      language,
+      {
+        onToken: (content) => sendEvent(res, "token", { content }),
+        signal: controller.signal,
+      },
+    );
+
+    if (!aiResponse.aborted) {
+      addTurn(session, {
+        query: trimmedQuery,
+        message: aiResponse.message,
+        type: "CHAT",
+        language,
+      });
+    }
+
+    // Charge the answer to the chat budget
+    await chargeRateLimit(req, usageOf(aiResponse));
+    const rateLimitStatus = await getRateLimitStatus(req);
+
+    sendEvent(res, "done", {
+      message: aiResponse.message,
+      type: "CHAT",
+      requestId: logOnce(),
+      sessionId: session.id,
+      language,
+      meta: {
+        model: aiResponse.model || "unknown",
+        tokens: aiResponse.tokens || 0,
+        processingTime: `${Date.now() - startTime}ms`,
+      },
+      rateLimit: {
+        remaining: rateLimitStatus.remaining,
+        unit: rateLimitStatus.unit,
+        resetAt: rateLimitStatus.resetAt,
+      },
+    });
+    res.end();
+  } catch (err) {
+    logger.error("Talk stream error", { error: err });
+    error = err.message;
+
+    sendEvent(res, "error", {
+      error: "Internal server error",
+      message: "Kechirasiz, xatolik yuz berdi.",
+    });
+    res.end();
+  } finally {
+    logOnce();
+  }
+});
+
+/**
+ * POST /api/assistant/feedback
+ * Body: { requestId, rating: "up" | "down", comment? }
+ * requestId comes with every answer; rating again replaces the vote
+ */
+router.post("/feedback", rateLimit("feedback"), (req, res) => {
+  try {
+    const feedback = saveFeedback({
+      requestId: req.body?.requestId,
+      rating: req.body?.rating,
+      comment: req.body?.comment,
+    });
+
+    return res.json({ success: true, feedback });
+  } catch (err) {
+    if (err instanceof FeedbackError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+
+    logger.error("Feedback error", { error: err });
+    return res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+});
+
 /**
  * GET /api/assistant/stats
- * Get usage statistics
+ * Get usage statistics (viewer or admin)
  */
-router.get("/stats", (req, res) => {
+router.get("/stats", rateLimit("read"), requireRole("viewer"), (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
     const stats = getStats(days);
@@ -338,9 +879,11 @@ router.get("/stats", (req, res) => {
     return res.json({
       period: `Last ${days} days`,
       ...stats,
+      activeSessions: getSessionCount(),
+      budget: getBudgetStatus(),
     });
   } catch (err) {
-    console.error("Stats error:", err);
+    logger.error("Stats error", { error: err });
     return res.status(500).json({
       error: "Internal server error",
     });
@@ -0,0 +1,246 @@
+// routes/auth.js - Sign-in for the dashboard and API tokens
+import express from "express";
+import { authenticate, issueToken } from "../services/authService.js";
+import { recordAuthEvent, getAuthEvents } from "../services/auditLog.js";
+import {
+  requireRole,
+  setAuthCookie,
+  clearAuthCookie,
+} from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimiter.js";
+
+const router = express.Router();
+
+// The login page posts a regular HTML form
+router.use(express.urlencoded({ extended: false }));
+
+const DEFAULT_NEXT = "/chatHistory";
+
+/**
+ * Only redirect to paths on this site. Parsed as a URL, since browsers
+ * read "/\example.com" as "//example.com"; only the path and query of
+ * a same-origin result are kept.
+ */
+function safeNext(next) {
+  if (typeof next !== "string" || !next.startsWith("/")) return DEFAULT_NEXT;
+  if (/[\\\u0000-\u001f\u007f]/.test(next)) return DEFAULT_NEXT;
+
+  try {
+    const url = new URL(next, "http://x");
+    if (url.origin !== "http://x") return DEFAULT_NEXT;
+    return url.pathname + url.search;
+  } catch {
+    return DEFAULT_NEXT;
+  }
+}
+
+/**
+ * Rate limit key for the attempted username
+ */
+function usernameKey(req) {
+  const { username } = req.body || {};
+  return typeof username === "string" && username.trim()
+    ? username.trim().toLowerCase().slice(0, 64)
+    : null;
+}
+
+/**
+ * GET /auth/login - Sign-in page for the dashboard
+ */
+router.get("/login", (req, res) => {
+  res.send(generateLoginHTML(safeNext(req.query.next), req.query.error));
+});
+
+/**
+ * POST /auth/login
+ * JSON { username, password } → { token, expiresAt, role }
+ * Form post (login page) → cookie + redirect
+ */
+router.post(
+  "/login",
+  rateLimit("login", { key: (req) => req.ip }),
+  rateLimit("loginUser", { key: usernameKey }),
+  async (req, res) => {
+    const { username, password, next } = req.body || {};
+    const isForm = req.is("application/x-www-form-urlencoded");
+    const user = await authenticate(username, password);
+
+    if (!user) {
+      recordAuthEvent(req, "login_failed", {
+        username: typeof username === "string" ? username.slice(0, 64) : null,
+        reason: "bad credentials",
+      });
+
+      if (isForm) {
+        return res.redirect(
+          `/auth/login?error=1&next=${encodeURIComponent(safeNext(next))}`,
+        );
+      }
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const issued = issueToken(user);
+    recordAuthEvent(req, "login", user);
+
+    if (isForm) {
+      setAuthCookie(req, res, issued.token);
+      return res.redirect(safeNext(next));
+    }
+
+    res.json({
+      token: issued.token,
+      tokenType: "Bearer",
+      expiresAt: new Date(issued.expiresAt).toISOString(),
+      username: user.username,
+      role: user.role,
+    });
+  },
+);
+
+/**
+ * POST /auth/logout - Clear the dashboard cookie
+ */
+router.post("/logout", (req, res) => {
+  clearAuthCookie(res);
+  recordAuthEvent(req, "logout");
+
+  if (req.is("application/x-www-form-urlencoded")) {
+    return res.redirect("/auth/login");
+  }
+  res.json({ success: true });
+});
+
+/**
+ * GET /auth/me - Current user
+ */
+router.get("/me", requireRole("viewer"), (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * GET /auth/audit - Auth events, most recent first (admin only)
+ * Query: limit, event
+ */
+router.get("/audit", requireRole("admin"), (req, res) => {
+  const { limit = 100, event } = req.query;
+  const events = getAuthEvents({ limit: parseInt(limit) || 100, event });
+  res.json({ showing: events.length, events });
+});
+
+/**
+ * Generate the sign-in page
+ */
+function generateLoginHTML(next, error) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Sign in</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      padding: 20px;
+    }
+
+    .card {
+      background: white;
+      padding: 30px;
+      border-radius: 12px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+      width: 100%;
+      max-width: 360px;
+    }
+
+    h1 {
+      color: #667eea;
+      margin-bottom: 20px;
+    }
+
+    label {
+      display: block;
+      font-size: 12px;
+      color: #666;
+      font-weight: 500;
+      margin-bottom: 5px;
+    }
+
+    input {
+      width: 100%;
+      padding: 8px 12px;
+      border: 2px solid #e0e0e0;
+      border-radius: 6px;
+      font-size: 14px;
+      outline: none;
+      margin-bottom: 15px;
+    }
+
+    input:focus {
+      border-color: #667eea;
+    }
+
+    button {
+      width: 100%;
+      padding: 10px 20px;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      color: white;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
+      font-weight: 500;
+    }
+
+    .error {
+      background: #ffebee;
+      color: #c62828;
+      padding: 10px;
+      border-radius: 6px;
+      font-size: 13px;
+      margin-bottom: 15px;
+    }
+  </style>
+</head>
+<body>
+  <form class="card" method="POST" action="/auth/login">
+    <h1>🔐 Sign in</h1>
+    ${error ? '<div class="error">Invalid username or password</div>' : ""}
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <label for="username">Username</label>
+    <input id="username" name="username" autocomplete="username" required autofocus>
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Escape HTML to prevent XSS
+ */
+function escapeHtml(text) {
+  const map = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#039;",
+  };
+  return text.replace(/[&<>"']/g, (m) => map[m]);
+}
+
+export default router;
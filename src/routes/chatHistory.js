@@ -1,55 +1,149 @@
 // routes/chatHistory.js
 import express from "express";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
+import { once } from "events";
 import { getStats } from "../middleware/requestLogger.js";
+import {
+  aggregateRequests,
+  findRequests,
+  getRequestFacets,
+  getRequestTimeSeries,
+  getLatencyPercentiles,
+  getTopQueries,
+  getTopIntents,
+  getMatchRatios,
+  RequestQueryError,
+  REQUEST_SORTS,
+  streamRequests,
+} from "../services/requestLog.js";
+import { getBudgetStatus } from "../services/budget.js";
+import { getFeedbackSummary, getWorstRated } from "../services/feedback.js";
+import { getFaq, getSiteMapEntry } from "../services/knowledgeBase.js";
+import { localize } from "../services/language.js";
+import {
+  getQueryMiningReport,
+  runQueryMining,
+} from "../services/queryMining.js";
+import { hasRole } from "../services/authService.js";
+import { CSV_BOM, csvLine } from "../services/export/csv.js";
+import { writeXlsx } from "../services/export/xlsx.js";
+import { lineChart, barChart, stackedBar } from "../services/charts.js";
+import { requireRole } from "../middleware/auth.js";
+import { logger } from "../services/logger.js";
+import { anonymizeIp } from "../services/privacy.js";
 
 const router = express.Router();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-const LOG_DIR = path.join(__dirname, "../logs");
-const REQUESTS_LOG = path.join(LOG_DIR, "requests.json");
-const DAILY_LOG_DIR = path.join(LOG_DIR, "daily");
+// Visitor queries, IPs and user agents: signed-in users only
+router.use(requireRole("viewer"));
 
 /**
- * GET /chatHistory - View all chat logs with filtering and stats
+ * Query parameter as a trimmed string (undefined when empty or repeated)
  */
-router.get("/", (req, res) => {
-  try {
-    const { limit = 50, date, model, type, format = "html" } = req.query;
+function textParam(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
 
-    // Read the main log file
-    let data = { requests: [] };
-    if (fs.existsSync(REQUESTS_LOG)) {
-      data = JSON.parse(fs.readFileSync(REQUESTS_LOG, "utf-8"));
-    }
+/**
+ * "YYYY-MM-DD" (start or end of that UTC day) or an ISO time → Date
+ */
+function dateParam(value, endOfDay = false) {
+  const text = textParam(value);
+  if (!text) return undefined;
 
-    // Apply filters
-    let filteredRequests = data.requests;
+  const date = new Date(
+    /^\d{4}-\d{2}-\d{2}$/.test(text)
+      ? `${text}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z`
+      : text,
+  );
+  if (isNaN(date)) throw new RequestQueryError(`Invalid date "${text}"`);
+  return date;
+}
 
-    if (date) {
-      filteredRequests = filteredRequests.filter((r) => r.date === date);
-    }
+/**
+ * IP filter in the form IPs are stored in (LOG_IP_MODE), so a full
+ * address finds its truncated or hashed entries. Stored forms pasted
+ * from the list ("1.2.3.0", "ip-3f2a...") are kept as they are.
+ */
+function ipParam(value) {
+  const ip = textParam(value);
+  return ip && !ip.startsWith("ip-") ? anonymizeIp(ip) : ip;
+}
 
-    if (model) {
-      filteredRequests = filteredRequests.filter((r) => r.model === model);
-    }
+/**
+ * Filters and sort order shared by the list and the exports
+ */
+function parseFilters(query) {
+  const date = textParam(query.date);
+  return {
+    filters: {
+      search: textParam(query.q),
+      id: textParam(query.id),
+      from: dateParam(query.from || date),
+      to: dateParam(query.to || date, true),
+      model: textParam(query.model),
+      type: textParam(query.type),
+      intent: textParam(query.intent),
+      rating: textParam(query.rating),
+      ip: ipParam(query.ip),
+      sessionId: textParam(query.session),
+    },
+    sort: textParam(query.sort) || "newest",
+  };
+}
 
-    if (type) {
-      filteredRequests = filteredRequests.filter(
-        (r) => r.responseType === type,
-      );
-    }
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    // Sort by most recent first
-    filteredRequests.sort(
-      (a, b) => new Date(b.timestamp) - new Date(a.timestamp),
-    );
+/**
+ * Chart data for the filtered requests, the last 7 days unless a start
+ * date is given. Hourly buckets for ranges up to 2 days.
+ */
+function getAnalytics(filters, bucket) {
+  const range = {
+    ...filters,
+    from: filters.from || new Date(Date.now() - 7 * DAY_MS),
+  };
+  const span = (range.to || new Date()) - range.from;
+  // Hourly over more than a month would be thousands of points
+  const size =
+    (bucket === "hour" && span <= 31 * DAY_MS) ||
+    (!bucket && span <= 2 * DAY_MS)
+      ? "hour"
+      : "day";
 
-    // Limit results
-    const limitedRequests = filteredRequests.slice(0, parseInt(limit));
+  return {
+    from: range.from.toISOString(),
+    to: range.to ? range.to.toISOString() : null,
+    bucket: size,
+    series: getRequestTimeSeries(range, size),
+    latency: getLatencyPercentiles(range),
+    topQueries: getTopQueries(range),
+    topIntents: getTopIntents(range),
+    matching: getMatchRatios(range),
+  };
+}
+
+/**
+ * GET /chatHistory - View all chat logs with filtering and stats
+ * Query: q (search in queries and answers), from, to (YYYY-MM-DD or ISO),
+ *        date (a single day), model, type, intent, ip, session,
+ *        id (a request's X-Request-Id),
+ *        rating (up | down: answers with that feedback),
+ *        sort (newest | oldest | slowest | tokens), limit, cursor, format
+ */
+router.get("/", (req, res) => {
+  const format = req.query.format === "json" ? "json" : "html";
+
+  try {
+    const { filters, sort } = parseFilters(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000);
+    const cursor = textParam(req.query.cursor);
+
+    const {
+      total,
+      requests: limitedRequests,
+      nextCursor,
+    } = findRequests({ ...filters, sort, limit, cursor });
+    const facets = getRequestFacets(filters);
 
     // Get statistics
     const stats = getStats(7);
@@ -57,47 +151,330 @@ router.get("/", (req, res) => {
     // Return JSON if requested
     if (format === "json") {
       return res.json({
-        total: filteredRequests.length,
+        total,
         showing: limitedRequests.length,
+        nextCursor,
+        facets,
         stats,
         requests: limitedRequests,
       });
     }
 
     // Return HTML view
-    res.send(generateHTML(limitedRequests, stats, req.query));
+    res.send(
+      generateHTML(
+        limitedRequests,
+        stats,
+        req.query,
+        facets,
+        getBudgetStatus(),
+        getFeedbackSummary(),
+        getAnalytics(filters, textParam(req.query.bucket)),
+        {
+          total,
+          nextCursor,
+          isFirstPage: !cursor,
+        },
+      ),
+    );
   } catch (error) {
-    console.error("Error reading chat history:", error);
+    if (error instanceof RequestQueryError) {
+      return format === "json"
+        ? res.status(error.status).json({ error: error.message })
+        : res.status(error.status).send(`
+      <h1>Invalid filter</h1>
+      <p>${escapeHtml(error.message)}</p>
+      <a href="/chatHistory">Back to Chat History</a>
+    `);
+    }
+
+    logger.error("Error reading chat history", { error });
+    if (format === "json") {
+      return res.status(500).json({ error: "Internal server error" });
+    }
     res.status(500).send(`
       <h1>Error Loading Chat History</h1>
-      <p>${error.message}</p>
+      <p>${escapeHtml(error.message)}</p>
       <a href="/chatHistory">Try Again</a>
     `);
   }
 });
 
+const EXPORT_COLUMNS = [
+  "Time (UTC)",
+  "Query",
+  "Answer",
+  "Type",
+  "Model",
+  "Tokens",
+  "Processing (ms)",
+  "Language",
+  "IP",
+  "Session",
+  "User agent",
+  "Error",
+  "Intent / FAQ",
+  "Feedback",
+  "Feedback comment",
+  "Request ID",
+];
+
+async function* exportRows(filters, sort) {
+  for await (const r of streamRequests({ ...filters, sort })) {
+    yield [
+      r.timestamp,
+      r.query,
+      r.answer,
+      r.responseType,
+      r.model,
+      r.tokens,
+      parseInt(r.processingTime) || 0,
+      r.language,
+      r.ip,
+      r.sessionId,
+      r.userAgent,
+      r.error,
+      r.intent,
+      r.feedback?.rating,
+      r.feedback?.comment,
+      r.id,
+    ];
+  }
+}
+
+/**
+ * Aggregates (as in getStats) for the filtered requests → [label, value] rows
+ */
+function statsRows(filters) {
+  const stats = aggregateRequests(filters);
+  const [latency] = getLatencyPercentiles(filters);
+  const matching = getMatchRatios(filters);
+  return [
+    ["Total requests", stats.totalRequests],
+    ["Errors", stats.errors],
+    ["Total tokens", stats.totalTokens],
+    ["Avg processing time (ms)", stats.avgProcessingTime],
+    ["p50 processing time (ms)", latency?.p50 ?? ""],
+    ["p95 processing time (ms)", latency?.p95 ?? ""],
+    ["p99 processing time (ms)", latency?.p99 ?? ""],
+    ["Keyword matches", matching.keyword],
+    ["AI fallback, found", matching.aiFound],
+    ["AI fallback, not found", matching.aiNotFound],
+    ["From", filters.from?.toISOString() ?? ""],
+    ["To", filters.to?.toISOString() ?? ""],
+    [],
+    ...Object.entries(stats.byType).map(([type, n]) => [`Type: ${type}`, n]),
+    [],
+    ...Object.entries(stats.byModel).map(([model, n]) => [
+      `Model: ${model}`,
+      n,
+    ]),
+  ];
+}
+
+/**
+ * GET /chatHistory/export - Download the filtered history
+ * Query: format (csv | xlsx), the list filters and sort;
+ *        for CSV sheet=stats gives the aggregates instead of the requests
+ * The XLSX has two sheets: Requests and Statistics.
+ */
+router.get("/export", async (req, res) => {
+  const format = textParam(req.query.format) || "csv";
+  if (!["csv", "xlsx"].includes(format)) {
+    return res.status(400).json({ error: "Format must be csv or xlsx" });
+  }
+
+  let filters, sort;
+  try {
+    ({ filters, sort } = parseFilters(req.query));
+    if (!REQUEST_SORTS.includes(sort)) {
+      throw new RequestQueryError(
+        `Unknown sort "${sort}", expected one of: ${REQUEST_SORTS.join(", ")}`,
+      );
+    }
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  const name = `chat-history-${new Date().toISOString().slice(0, 10)}`;
+
+  try {
+    if (format === "xlsx") {
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${name}.xlsx"`,
+      );
+
+      await writeXlsx(res, [
+        {
+          name: "Requests",
+          columns: EXPORT_COLUMNS,
+          rows: exportRows(filters, sort),
+        },
+        {
+          name: "Statistics",
+          columns: ["Metric", "Value"],
+          rows: statsRows(filters),
+        },
+      ]);
+      return res.end();
+    }
+
+    const stats = req.query.sheet === "stats";
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${name}${stats ? "-stats" : ""}.csv"`,
+    );
+
+    res.write(CSV_BOM);
+    if (stats) {
+      res.write(csvLine(["Metric", "Value"]));
+      for (const row of statsRows(filters)) res.write(csvLine(row));
+      return res.end();
+    }
+
+    res.write(csvLine(EXPORT_COLUMNS));
+    for await (const row of exportRows(filters, sort)) {
+      if (res.destroyed) return;
+      if (!res.write(csvLine(row))) {
+        await Promise.race([once(res, "drain"), once(res, "close")]);
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already out: all we can do is cut the download short
+    logger.error("Chat history export failed", { error });
+    res.destroy(error);
+  }
+});
+
 /**
  * GET /chatHistory/daily/:date - View logs for a specific date
  */
 router.get("/daily/:date", (req, res) => {
   try {
     const { date } = req.params;
-    const dailyLogFile = path.join(DAILY_LOG_DIR, `${date}.json`);
+    const start = new Date(`${date}T00:00:00.000Z`);
 
-    if (!fs.existsSync(dailyLogFile)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(start)) {
+      return res.status(400).json({ error: "Date must be YYYY-MM-DD" });
+    }
+
+    const { requests } = findRequests({
+      from: start,
+      to: new Date(start.getTime() + 24 * 60 * 60 * 1000 - 1),
+      sort: "oldest",
+      limit: Infinity,
+    });
+
+    if (requests.length === 0) {
       return res.status(404).send(`
         <h1>No logs found for ${date}</h1>
         <a href="/chatHistory">Back to Chat History</a>
       `);
     }
 
-    const dailyData = JSON.parse(fs.readFileSync(dailyLogFile, "utf-8"));
-    res.json(dailyData);
+    res.json({ date, requests });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * What a feedback group is about: FAQ question / page title (uz)
+ */
+function describeIntent(type, intent) {
+  if (!intent) return type === "CHAT" ? "General chat" : "—";
+  const entry = type === "FAQ" ? getFaq(intent) : getSiteMapEntry(intent);
+  if (!entry) return `${intent} (deleted)`;
+  return localize(type === "FAQ" ? entry.question : entry.title) || intent;
+}
+
+/**
+ * GET /chatHistory/feedback - Worst rated intents / FAQs
+ * Query: from, to (YYYY-MM-DD or ISO), min (votes, default 1), format
+ */
+router.get("/feedback", (req, res) => {
+  const format = req.query.format === "json" ? "json" : "html";
+
+  try {
+    const { filters } = parseFilters(req.query);
+    const minVotes = Math.max(parseInt(req.query.min) || 1, 1);
+    const worst = getWorstRated({
+      from: filters.from,
+      to: filters.to,
+      minVotes,
+    }).map((group) => ({
+      ...group,
+      label: describeIntent(group.type, group.intent),
+    }));
+    const summary = getFeedbackSummary();
+
+    if (format === "json") {
+      return res.json({ summary, worst });
+    }
+
+    res.send(generateFeedbackHTML(worst, summary, req.query, minVotes));
+  } catch (error) {
+    if (error instanceof RequestQueryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error("Error reading feedback", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /chatHistory/unanswered - Unanswered / AI-routed queries, grouped,
+ * with keyword suggestions (admins can add them from the page)
+ * Query: refresh=1 (analyse now, admins only: it's the heavy part), format
+ */
+router.get("/unanswered", (req, res) => {
+  const isAdmin = hasRole(req.user.role, "admin");
+
+  try {
+    if (req.query.refresh === "1" && !isAdmin) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    const report =
+      req.query.refresh === "1" ? runQueryMining() : getQueryMiningReport();
+
+    if (req.query.format === "json") {
+      return res.json(report);
+    }
+
+    res.send(generateUnansweredHTML(report, isAdmin));
+  } catch (error) {
+    logger.error("Error mining queries", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /chatHistory/analytics - Time series, latency percentiles, top
+ * queries / intents and keyword vs AI matching as JSON
+ * Query: the list filters, bucket (hour | day)
+ */
+router.get("/analytics", (req, res) => {
+  try {
+    const { filters } = parseFilters(req.query);
+    res.json(getAnalytics(filters, textParam(req.query.bucket)));
+  } catch (error) {
+    if (error instanceof RequestQueryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    logger.error("Error computing analytics", { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * GET /chatHistory/stats - Get statistics only
  */
@@ -105,7 +482,7 @@ router.get("/stats", (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
     const stats = getStats(days);
-    res.json(stats);
+    res.json({ ...stats, budget: getBudgetStatus() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -114,9 +491,42 @@ router.get("/stats", (req, res) => {
 /**
  * Generate HTML view for chat history
  */
-function generateHTML(requests, stats, filters) {
-  const modelOptions = ["claude-3-5-sonnet-20241022", "gpt-4", "gpt-3.5-turbo"];
-  const typeOptions = ["text", "json", "html", "code"];
+function generateHTML(
+  requests,
+  stats,
+  filters,
+  facets,
+  budget,
+  feedback,
+  analytics,
+  pagination,
+) {
+  // Filter value for an input's value attribute
+  const value = (name) =>
+    typeof filters[name] === "string" ? escapeHtml(filters[name]) : "";
+  const sortLabels = {
+    newest: "Newest first",
+    oldest: "Oldest first",
+    slowest: "Slowest first",
+    tokens: "Most tokens",
+  };
+  // <option>s of a facet, "value (count)"; a selected value without
+  // matches stays in the list so the filter can be seen and changed
+  const facetOptions = (name) => {
+    const options = [...facets[name]];
+    const selected =
+      typeof filters[name] === "string" ? filters[name].trim() : "";
+    if (selected && !options.some((o) => o.value === selected)) {
+      options.unshift({ value: selected, count: 0 });
+    }
+
+    return options
+      .map(
+        (o) =>
+          `<option value="${escapeHtml(o.value)}" ${o.value === selected ? "selected" : ""}>${escapeHtml(o.value)} (${o.count})</option>`,
+      )
+      .join("");
+  };
 
   return `
 <!DOCTYPE html>
@@ -186,6 +596,50 @@ function generateHTML(requests, stats, filters) {
       opacity: 0.9;
     }
     
+    .analytics {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(420px, 1fr));
+      gap: 20px;
+      margin-bottom: 20px;
+    }
+    
+    .chart-card {
+      background: white;
+      padding: 20px;
+      border-radius: 12px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    
+    .chart-card h3 {
+      color: #333;
+      font-size: 15px;
+      margin-bottom: 12px;
+    }
+    
+    .chart-empty {
+      color: #999;
+      font-size: 13px;
+    }
+    
+    .latency-table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 13px;
+      margin-bottom: 12px;
+    }
+    
+    .latency-table th,
+    .latency-table td {
+      text-align: right;
+      padding: 4px 8px;
+      border-bottom: 1px solid #eee;
+    }
+    
+    .latency-table th:first-child,
+    .latency-table td:first-child {
+      text-align: left;
+    }
+    
     .filters {
       background: white;
       padding: 20px;
@@ -304,6 +758,16 @@ function generateHTML(requests, stats, filters) {
       color: #c62828;
     }
     
+    .badge-feedback-up {
+      background: #e8f5e9;
+      color: #2e7d32;
+    }
+    
+    .badge-feedback-down {
+      background: #fff3e0;
+      color: #e65100;
+    }
+    
     .request-query {
       background: #f8f9fa;
       padding: 12px;
@@ -314,6 +778,15 @@ function generateHTML(requests, stats, filters) {
       word-break: break-word;
     }
     
+    .request-answer {
+      padding: 12px;
+      border-left: 3px solid #667eea;
+      margin: 10px 0;
+      font-size: 14px;
+      color: #444;
+      word-break: break-word;
+    }
+    
     .request-details {
       display: grid;
       grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
@@ -345,6 +818,16 @@ function generateHTML(requests, stats, filters) {
       color: #999;
     }
     
+    .pagination {
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      gap: 15px;
+      margin-top: 20px;
+      color: #666;
+      font-size: 14px;
+    }
+    
     .refresh-btn {
       position: fixed;
       bottom: 30px;
@@ -402,33 +885,82 @@ function generateHTML(requests, stats, filters) {
           <div class="stat-value">${stats.errors}</div>
           <div class="stat-label">Errors</div>
         </div>
+        <div class="stat-card">
+          <div class="stat-value">$${budget.daily.usd.toFixed(2)}${budget.daily.limitUsd ? ` / $${budget.daily.limitUsd}` : ""}</div>
+          <div class="stat-label">LLM Spend Today${budget.keywordOnly ? " (keyword-only)" : ""}</div>
+        </div>
+        <div class="stat-card">
+          <div class="stat-value">${feedback.helpfulShare === null ? "–" : `${Math.round(feedback.helpfulShare * 100)}%`}</div>
+          <div class="stat-label">Helpful Answers (👍 ${feedback.up} / 👎 ${feedback.down})</div>
+        </div>
       </div>
       `
           : ""
       }
     </div>
     
+    ${analyticsSection(analytics)}
+    
     <div class="filters">
       <div class="filter-group">
-        <label>Limit</label>
-        <input type="number" id="limit" value="${filters.limit || 50}" min="1" max="1000">
+        <label>Search</label>
+        <input type="search" id="q" value="${value("q")}" placeholder="Query or answer text">
+      </div>
+      
+      <div class="filter-group">
+        <label>From</label>
+        <input type="date" id="from" value="${value("from") || value("date")}">
+      </div>
+      
+      <div class="filter-group">
+        <label>To</label>
+        <input type="date" id="to" value="${value("to") || value("date")}">
+      </div>
+      
+      <div class="filter-group">
+        <label>IP</label>
+        <input id="ip" value="${value("ip")}">
+      </div>
+      
+      <div class="filter-group">
+        <label>Session</label>
+        <input id="session" value="${value("session")}">
       </div>
       
       <div class="filter-group">
-        <label>Date</label>
-        <input type="date" id="date" value="${filters.date || ""}">
+        <label>Intent / FAQ</label>
+        <input id="intent" value="${value("intent")}">
+      </div>
+      
+      <div class="filter-group">
+        <label>Feedback</label>
+        <select id="rating">
+          <option value="">Any</option>
+          <option value="up" ${value("rating") === "up" ? "selected" : ""}>👍 Helpful</option>
+          <option value="down" ${value("rating") === "down" ? "selected" : ""}>👎 Not helpful</option>
+        </select>
+      </div>
+      
+      <div class="filter-group">
+        <label>Sort</label>
+        <select id="sort">
+          ${REQUEST_SORTS.map(
+            (s) =>
+              `<option value="${s}" ${filters.sort === s ? "selected" : ""}>${sortLabels[s] || s}</option>`,
+          ).join("")}
+        </select>
+      </div>
+      
+      <div class="filter-group">
+        <label>Limit</label>
+        <input type="number" id="limit" value="${value("limit") || 50}" min="1" max="1000">
       </div>
       
       <div class="filter-group">
         <label>Model</label>
         <select id="model">
           <option value="">All Models</option>
-          ${modelOptions
-            .map(
-              (m) =>
-                `<option value="${m}" ${filters.model === m ? "selected" : ""}>${m}</option>`,
-            )
-            .join("")}
+          ${facetOptions("model")}
         </select>
       </div>
       
@@ -436,23 +968,25 @@ function generateHTML(requests, stats, filters) {
         <label>Type</label>
         <select id="type">
           <option value="">All Types</option>
-          ${typeOptions
-            .map(
-              (t) =>
-                `<option value="${t}" ${filters.type === t ? "selected" : ""}>${t}</option>`,
-            )
-            .join("")}
+          ${facetOptions("type")}
         </select>
       </div>
       
       <button onclick="applyFilters()">Apply Filters</button>
       <button onclick="clearFilters()">Clear</button>
       <button onclick="downloadJSON()">Download JSON</button>
+      <button onclick="downloadExport('csv')">Download CSV</button>
+      <button onclick="downloadExport('xlsx')">Download Excel</button>
+      <button onclick="window.location.href = '/chatHistory/feedback'">Worst Rated</button>
+      <button onclick="window.location.href = '/chatHistory/unanswered'">Unanswered</button>
+      <form method="POST" action="/auth/logout">
+        <button type="submit">Logout</button>
+      </form>
     </div>
     
     <div class="requests-container">
       <h2 style="margin-bottom: 20px; color: #333;">
-        Recent Requests (${requests.length})
+        Requests (${requests.length} of ${pagination.total})
       </h2>
       
       ${
@@ -473,6 +1007,7 @@ function generateHTML(requests, stats, filters) {
               <span class="badge badge-type">${r.responseType}</span>
               <span class="badge badge-time">${r.processingTime}</span>
               ${r.error ? '<span class="badge badge-error">ERROR</span>' : ""}
+              ${r.feedback ? `<span class="badge badge-feedback-${r.feedback.rating}">${r.feedback.rating === "up" ? "👍" : "👎"}${r.feedback.comment ? ` ${escapeHtml(r.feedback.comment)}` : ""}</span>` : ""}
             </div>
             <div style="font-size: 12px; color: #999;">
               ${r.date} ${r.time}
@@ -482,12 +1017,31 @@ function generateHTML(requests, stats, filters) {
           <div class="request-query">
             ${escapeHtml(r.query)}
           </div>
+          ${
+            r.answer
+              ? `
+          <div class="request-answer">
+            ${escapeHtml(r.answer)}
+          </div>
+          `
+              : ""
+          }
           
           <div class="request-details">
             <div class="detail-item">
               <span class="detail-label">Request ID</span>
-              <span class="detail-value">${r.id}</span>
+              <a class="detail-value" href="/chatHistory?id=${encodeURIComponent(r.id)}">${escapeHtml(r.id)}</a>
+            </div>
+            ${
+              r.intent
+                ? `
+            <div class="detail-item">
+              <span class="detail-label">Intent / FAQ</span>
+              <a class="detail-value" href="/chatHistory?intent=${encodeURIComponent(r.intent)}">${escapeHtml(r.intent)}</a>
             </div>
+            `
+                : ""
+            }
             ${
               r.tokens
                 ? `
@@ -500,8 +1054,18 @@ function generateHTML(requests, stats, filters) {
             }
             <div class="detail-item">
               <span class="detail-label">IP Address</span>
-              <span class="detail-value">${r.ip}</span>
+              <span class="detail-value">${r.ip ? escapeHtml(r.ip) : "Removed"}</span>
+            </div>
+            ${
+              r.sessionId
+                ? `
+            <div class="detail-item">
+              <span class="detail-label">Session</span>
+              <a class="detail-value" href="/chatHistory?session=${encodeURIComponent(r.sessionId)}">${escapeHtml(r.sessionId)}</a>
             </div>
+            `
+                : ""
+            }
             ${
               r.error
                 ? `
@@ -518,6 +1082,17 @@ function generateHTML(requests, stats, filters) {
               )
               .join("")
       }
+      
+      ${
+        pagination.nextCursor || !pagination.isFirstPage
+          ? `
+      <div class="pagination">
+        ${!pagination.isFirstPage ? `<button onclick="goToCursor('')">← First page</button>` : ""}
+        ${pagination.nextCursor ? `<button onclick="goToCursor('${pagination.nextCursor}')">Next page →</button>` : ""}
+      </div>
+      `
+          : ""
+      }
     </div>
   </div>
   
@@ -533,20 +1108,22 @@ function generateHTML(requests, stats, filters) {
     }
     
     function applyFilters() {
-      const limit = document.getElementById('limit').value;
-      const date = document.getElementById('date').value;
-      const model = document.getElementById('model').value;
-      const type = document.getElementById('type').value;
-      
       const params = new URLSearchParams();
-      if (limit) params.append('limit', limit);
-      if (date) params.append('date', date);
-      if (model) params.append('model', model);
-      if (type) params.append('type', type);
+      for (const name of ['q', 'from', 'to', 'ip', 'session', 'intent', 'rating', 'model', 'type', 'sort', 'limit']) {
+        const value = document.getElementById(name).value.trim();
+        if (value) params.append(name, value);
+      }
       
       window.location.href = '/chatHistory?' + params.toString();
     }
     
+    function goToCursor(cursor) {
+      const params = new URLSearchParams(window.location.search);
+      if (cursor) params.set('cursor', cursor);
+      else params.delete('cursor');
+      window.location.href = '/chatHistory?' + params.toString();
+    }
+    
     function clearFilters() {
       window.location.href = '/chatHistory';
     }
@@ -556,6 +1133,468 @@ function generateHTML(requests, stats, filters) {
       params.set('format', 'json');
       window.open('/chatHistory?' + params.toString(), '_blank');
     }
+    
+    function downloadExport(format) {
+      const params = new URLSearchParams(window.location.search);
+      params.delete('cursor');
+      params.delete('limit');
+      params.set('format', format);
+      window.location.href = '/chatHistory/export?' + params.toString();
+    }
+  </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Charts section of the dashboard (inline SVG)
+ */
+function analyticsSection(analytics) {
+  const timeLabel = (time) =>
+    analytics.bucket === "hour"
+      ? `${time.slice(5, 10)} ${time.slice(11, 16)}`
+      : time.slice(5, 10);
+  const intentBars = (type, items) =>
+    barChart(
+      items.map((i) => ({ label: describeIntent(type, i.id), value: i.count })),
+    );
+
+  return `
+    <div class="analytics">
+      <div class="chart-card">
+        <h3>Requests per ${analytics.bucket}</h3>
+        ${lineChart(
+          analytics.series.map((p) => ({ ...p, label: timeLabel(p.time) })),
+          [
+            { key: "requests", name: "requests" },
+            { key: "aiFallback", name: "AI fallback" },
+            { key: "errors", name: "errors" },
+          ],
+        )}
+      </div>
+      
+      <div class="chart-card">
+        <h3>Processing time (ms)</h3>
+        <table class="latency-table">
+          <tr><th>Type</th><th>Requests</th><th>p50</th><th>p95</th><th>p99</th><th>Max</th></tr>
+          ${analytics.latency
+            .map(
+              (l) =>
+                `<tr><td>${escapeHtml(l.type || "All")}</td><td>${l.count}</td><td>${l.p50}</td><td>${l.p95}</td><td>${l.p99}</td><td>${l.max}</td></tr>`,
+            )
+            .join("")}
+        </table>
+        ${barChart(
+          analytics.latency
+            .filter((l) => l.type)
+            .map((l) => ({ label: `${l.type} p95`, value: l.p95 })),
+          { unit: "ms", color: "#e65100" },
+        )}
+      </div>
+      
+      <div class="chart-card">
+        <h3>Keyword vs AI matching</h3>
+        ${stackedBar([
+          { label: "Keywords", value: analytics.matching.keyword },
+          { label: "AI, found", value: analytics.matching.aiFound },
+          { label: "AI, not found", value: analytics.matching.aiNotFound },
+        ])}
+      </div>
+      
+      <div class="chart-card">
+        <h3>Top queries</h3>
+        ${barChart(
+          analytics.topQueries.map((q) => ({ label: q.query, value: q.count })),
+        )}
+      </div>
+      
+      <div class="chart-card">
+        <h3>Top sections</h3>
+        ${intentBars("NAVIGATION", analytics.topIntents.intents)}
+      </div>
+      
+      <div class="chart-card">
+        <h3>Top FAQs</h3>
+        ${intentBars("FAQ", analytics.topIntents.faqs)}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Generate HTML view for the worst rated answers
+ */
+function generateFeedbackHTML(worst, summary, filters, minVotes) {
+  const value = (name) =>
+    typeof filters[name] === "string" ? escapeHtml(filters[name]) : "";
+  // Down-voted answers of a group in the main list
+  const answersLink = (group) => {
+    const params = new URLSearchParams({ rating: "down" });
+    if (group.type) params.set("type", group.type);
+    if (group.intent) params.set("intent", group.intent);
+    for (const name of ["from", "to"]) {
+      if (typeof filters[name] === "string" && filters[name]) {
+        params.set(name, filters[name]);
+      }
+    }
+    return `/chatHistory?${params}`;
+  };
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Worst Rated Answers</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      padding: 20px;
+    }
+    
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      background: white;
+      padding: 30px;
+      border-radius: 12px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    
+    h1 {
+      color: #667eea;
+      margin-bottom: 10px;
+    }
+    
+    .summary {
+      color: #666;
+      margin-bottom: 20px;
+    }
+    
+    form {
+      display: flex;
+      gap: 15px;
+      align-items: flex-end;
+      flex-wrap: wrap;
+      margin-bottom: 20px;
+    }
+    
+    label {
+      display: flex;
+      flex-direction: column;
+      font-size: 12px;
+      color: #999;
+      gap: 4px;
+    }
+    
+    input, button {
+      padding: 8px 12px;
+      border: 1px solid #ddd;
+      border-radius: 6px;
+      font-size: 14px;
+    }
+    
+    button {
+      background: #667eea;
+      color: white;
+      border: none;
+      cursor: pointer;
+    }
+    
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    
+    th, td {
+      text-align: left;
+      padding: 10px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    
+    th {
+      color: #999;
+      font-size: 12px;
+      text-transform: uppercase;
+    }
+    
+    .down {
+      color: #e65100;
+      font-weight: bold;
+    }
+    
+    .comment {
+      color: #666;
+      font-style: italic;
+    }
+    
+    a {
+      color: #667eea;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>👎 Worst Rated Answers</h1>
+    <p class="summary">
+      ${summary.votes} votes: 👍 ${summary.up} / 👎 ${summary.down}
+      · <a href="/chatHistory">Back to Chat History</a>
+    </p>
+    
+    <form method="GET" action="/chatHistory/feedback">
+      <label>From <input type="date" name="from" value="${value("from")}"></label>
+      <label>To <input type="date" name="to" value="${value("to")}"></label>
+      <label>Min votes <input type="number" name="min" value="${minVotes}" min="1"></label>
+      <button type="submit">Apply</button>
+    </form>
+    
+    ${
+      worst.length === 0
+        ? "<p>No down-voted answers yet.</p>"
+        : `
+    <table>
+      <thead>
+        <tr>
+          <th>Type</th>
+          <th>Intent / FAQ</th>
+          <th>👍</th>
+          <th>👎</th>
+          <th>Not helpful</th>
+          <th>Latest complaint</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${worst
+          .map(
+            (g) => `
+        <tr>
+          <td>${escapeHtml(g.type || "—")}</td>
+          <td>${escapeHtml(g.label)}${g.intent ? `<br><small>${escapeHtml(g.intent)}</small>` : ""}</td>
+          <td>${g.up}</td>
+          <td class="down">${g.down}</td>
+          <td class="down">${Math.round(g.downShare * 100)}%</td>
+          <td class="comment">${g.lastComment ? escapeHtml(g.lastComment) : ""}</td>
+          <td><a href="${escapeHtml(answersLink(g))}">Answers →</a></td>
+        </tr>`,
+          )
+          .join("")}
+      </tbody>
+    </table>
+    `
+    }
+  </div>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Generate HTML view for the unanswered-query groups
+ */
+function generateUnansweredHTML(report, isAdmin) {
+  const searchLink = (query) => `/chatHistory?q=${encodeURIComponent(query)}`;
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Unanswered Queries</title>
+  <style>
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+    
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      padding: 20px;
+    }
+    
+    .container {
+      max-width: 1400px;
+      margin: 0 auto;
+      background: white;
+      padding: 30px;
+      border-radius: 12px;
+      box-shadow: 0 4px 6px rgba(0,0,0,0.1);
+    }
+    
+    h1 {
+      color: #667eea;
+      margin-bottom: 10px;
+    }
+    
+    .summary {
+      color: #666;
+      margin-bottom: 20px;
+    }
+    
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 14px;
+    }
+    
+    th, td {
+      text-align: left;
+      padding: 10px;
+      border-bottom: 1px solid #eee;
+      vertical-align: top;
+    }
+    
+    th {
+      color: #999;
+      font-size: 12px;
+      text-transform: uppercase;
+    }
+    
+    .examples a {
+      display: block;
+      color: #333;
+    }
+    
+    .count {
+      font-weight: bold;
+      font-size: 18px;
+      color: #667eea;
+    }
+    
+    .muted {
+      color: #999;
+      font-size: 12px;
+    }
+    
+    .keyword {
+      font-family: 'Courier New', monospace;
+      background: #f3e5f5;
+      padding: 2px 6px;
+      border-radius: 4px;
+    }
+    
+    button {
+      margin-top: 6px;
+      padding: 6px 12px;
+      background: #667eea;
+      color: white;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    
+    button:disabled {
+      background: #aaa;
+      cursor: default;
+    }
+    
+    a {
+      color: #667eea;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>🔎 Unanswered Queries</h1>
+    <p class="summary">
+      ${report.queries} queries from the last ${report.days} days that the keywords missed,
+      in ${report.groups.length} groups · analysed ${escapeHtml(report.generatedAt)}
+      ${isAdmin ? '· <a href="/chatHistory/unanswered?refresh=1">Analyse now</a>' : ""}
+      · <a href="/chatHistory">Back to Chat History</a>
+    </p>
+    
+    ${
+      report.groups.length === 0
+        ? "<p>Nothing to show: every query was answered by keywords.</p>"
+        : `
+    <table>
+      <thead>
+        <tr>
+          <th>Queries</th>
+          <th>Wordings</th>
+          <th>Not found</th>
+          <th>AI routed to</th>
+          <th>Suggested keyword</th>
+          <th>Last seen</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${report.groups
+          .map(
+            (g) => `
+        <tr>
+          <td class="count">${g.count}</td>
+          <td class="examples">${g.examples
+            .map(
+              (e) =>
+                `<a href="${escapeHtml(searchLink(e.value))}">${escapeHtml(e.value)} <span class="muted">×${e.count}</span></a>`,
+            )
+            .join("")}</td>
+          <td>${g.unanswered}</td>
+          <td>${g.intents
+            .map(
+              (i) =>
+                `${escapeHtml(i.value)} <span class="muted">×${i.count}</span>`,
+            )
+            .join("<br>")}</td>
+          <td>${
+            g.suggestion
+              ? `<span class="keyword">${escapeHtml(g.suggestion.keyword)}</span>
+            <span class="muted">(${g.suggestion.language})</span><br>
+            <span class="muted">→ ${escapeHtml(g.suggestion.title || g.suggestion.intent)}</span>
+            ${
+              isAdmin
+                ? `<br><button data-intent="${escapeHtml(g.suggestion.intent)}" data-keyword="${escapeHtml(g.suggestion.keyword)}" data-language="${escapeHtml(g.suggestion.language)}" onclick="acceptSuggestion(this)">Add keyword</button>`
+                : ""
+            }`
+              : ""
+          }</td>
+          <td class="muted">${escapeHtml(g.lastSeen)}</td>
+        </tr>`,
+          )
+          .join("")}
+      </tbody>
+    </table>
+    `
+    }
+  </div>
+  
+  <script>
+    async function acceptSuggestion(button) {
+      const { intent, keyword, language } = button.dataset;
+      button.disabled = true;
+      
+      try {
+        const response = await fetch('/api/admin/sitemap/' + encodeURIComponent(intent) + '/keywords', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ keyword, language }),
+        });
+        const result = await response.json();
+        
+        if (!response.ok) throw new Error(result.error || response.statusText);
+        button.textContent = 'Added ✓';
+      } catch (error) {
+        button.disabled = false;
+        alert('Could not add the keyword: ' + error.message);
+      }
+    }
   </script>
 </body>
 </html>
@@ -576,4 +1615,4 @@ function escapeHtml(text) {
   return text.replace(/[&<>"']/g, (m) => map[m]);
 }
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,29 @@
+// routes/metrics.js - Prometheus scrape endpoint
+import express from "express";
+import { safeEqual } from "../middleware/adminAuth.js";
+import { renderMetrics } from "../services/metrics.js";
+
+const router = express.Router();
+
+/**
+ * GET /metrics - Counters and histograms in the Prometheus text format
+ * Needs `Authorization: Bearer <METRICS_TOKEN>`; off when METRICS_TOKEN
+ * is not set
+ */
+router.get("/", (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    return res.status(404).json({ error: "Metrics are disabled" });
+  }
+
+  const [scheme, given] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !given || !safeEqual(given, token)) {
+    res.setHeader("WWW-Authenticate", 'Bearer realm="metrics"');
+    return res.status(401).json({ error: "Invalid metrics token" });
+  }
+
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(renderMetrics());
+});
+
+export default router;
@@ -0,0 +1,38 @@
+// scripts/hashPassword.js - Make an AUTH_USERS entry for a dashboard user
+//
+// Usage: npm run hash-password -- <username> <viewer|admin>
+// The password is read from stdin (or the AUTH_PASSWORD variable).
+import readline from "readline";
+import { hashPassword, ROLES } from "../services/authService.js";
+
+const [username, role = "viewer"] = process.argv.slice(2);
+
+if (!username || !ROLES.includes(role) || /[:,]/.test(username)) {
+  console.error(
+    `Usage: npm run hash-password -- <username> <${ROLES.join("|")}>`,
+  );
+  process.exit(1);
+}
+
+async function readPassword() {
+  if (process.env.AUTH_PASSWORD) return process.env.AUTH_PASSWORD;
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stderr,
+  });
+  const password = await new Promise((resolve) =>
+    rl.question("Password: ", resolve),
+  );
+  rl.close();
+  return password;
+}
+
+const password = await readPassword();
+if (!password) {
+  console.error("❌ Password must not be empty");
+  process.exit(1);
+}
+
+// Append to AUTH_USERS (comma separated)
+console.log(`${username}:${role}:${hashPassword(password)}`);
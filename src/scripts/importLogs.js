@@ -0,0 +1,116 @@
+// scripts/importLogs.js - Load request logs from before the database into SQLite
+//
+// Usage: npm run import:logs [-- <file or directory> ...]
+// Reads daily JSON logs ({ requests: [...] }) and NDJSON logs. Without
+// arguments: logs/daily, logs/daily.migrated, logs/requests and
+// logs/requests.json. Entries already in the database are skipped, so
+// running it twice is harmless.
+// DATABASE_FILE may be set in .env
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { insertRequests } from "../services/requestLog.js";
+import { protectEntry } from "../services/privacy.js";
+import { DATABASE_FILE, closeDb } from "../services/db/index.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const LOG_DIR = path.join(__dirname, "../logs");
+const DEFAULT_SOURCES = [
+  "daily",
+  "daily.migrated",
+  "requests",
+  "requests.json",
+  "requests.json.migrated",
+].map((name) => path.join(LOG_DIR, name));
+
+/**
+ * Entries of one log file
+ */
+function readLogFile(file) {
+  const text = fs.readFileSync(file, "utf-8");
+
+  if (file.endsWith(".ndjson")) {
+    return text
+      .split("\n")
+      .filter((line) => line.trim())
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  return JSON.parse(text).requests || [];
+}
+
+/**
+ * Log files of a source, oldest first
+ */
+function listLogFiles(source) {
+  if (!fs.statSync(source).isDirectory()) return [source];
+
+  return fs
+    .readdirSync(source)
+    .filter((name) => /\.(nd)?json$/.test(name))
+    .sort()
+    .map((name) => path.join(source, name));
+}
+
+const explicit = process.argv.slice(2).map((arg) => path.resolve(arg));
+const sources = explicit.length
+  ? explicit
+  : DEFAULT_SOURCES.filter((source) => fs.existsSync(source));
+
+if (sources.length === 0) {
+  console.log("Nothing to import");
+  process.exit(0);
+}
+
+let read = 0;
+let added = 0;
+let failed = 0;
+
+for (const source of sources) {
+  let files;
+  try {
+    files = listLogFiles(source);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    failed++;
+    continue;
+  }
+
+  for (const file of files) {
+    try {
+      // Old logs kept raw queries and IPs: stored the way logRequest would
+      const entries = readLogFile(file)
+        .filter((e) => e.id && e.timestamp)
+        .map(protectEntry);
+      const count = insertRequests(entries);
+
+      read += entries.length;
+      added += count;
+      console.log(
+        `📥 ${path.relative(process.cwd(), file)}: ${count} of ${entries.length} new`,
+      );
+    } catch (error) {
+      console.error(
+        `❌ ${path.relative(process.cwd(), file)}: ${error.message}`,
+      );
+      failed++;
+    }
+  }
+}
+
+closeDb();
+
+console.log(
+  `\n✅ Imported ${added} requests into ${path.relative(process.cwd(), DATABASE_FILE)} ` +
+    `(${read - added} already there, ${failed} files failed)`,
+);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,61 @@
+// scripts/validateData.js - Check faq.json and siteMap.json from the command line
+//
+// Usage: npm run validate:data [-- --strict] [--faq <file>] [--sitemap <file>]
+//   --strict  also fail on warnings (keyword conflicts, duplicate keywords)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  validateKnowledgeBase,
+  formatValidationIssue,
+} from "../services/dataValidator.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, "../data");
+
+function argValue(name, fallback) {
+  const index = process.argv.indexOf(name);
+  return index !== -1 && process.argv[index + 1]
+    ? path.resolve(process.argv[index + 1])
+    : fallback;
+}
+
+const faqFile = argValue("--faq", path.join(DATA_DIR, "faq.json"));
+const siteMapFile = argValue("--sitemap", path.join(DATA_DIR, "siteMap.json"));
+const strict = process.argv.includes("--strict");
+
+let faqText;
+let siteMapText;
+try {
+  faqText = fs.readFileSync(faqFile, "utf-8");
+  siteMapText = fs.readFileSync(siteMapFile, "utf-8");
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(2);
+}
+
+const result = validateKnowledgeBase({
+  faqText,
+  siteMapText,
+  faqFile: path.relative(process.cwd(), faqFile),
+  siteMapFile: path.relative(process.cwd(), siteMapFile),
+});
+
+for (const issue of result.errors) {
+  console.log(`❌ ${formatValidationIssue(issue)}`);
+}
+for (const issue of result.warnings) {
+  console.log(`⚠️  ${formatValidationIssue(issue)}`);
+}
+
+console.log(
+  `\n${result.faqData ? result.faqData.faqs.length : 0} valid FAQs, ` +
+    `${result.siteMap ? result.siteMap.length : 0} valid site sections: ` +
+    `${result.errors.length} errors, ${result.warnings.length} warnings`,
+);
+
+const failed =
+  result.errors.length > 0 || (strict && result.warnings.length > 0);
+process.exit(failed ? 1 : 0);
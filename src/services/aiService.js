@@ -1,195 +1,189 @@
-import fs from "fs";
-import path from "path";
-import OpenAI from "openai";
-import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { DEFAULT_LANGUAGE, localize, allKeywords } from "./language.js";
+import { getSiteMap, searchFaqs, searchSiteMap } from "./knowledgeBase.js";
+import { complete, stream, getTaskConfig } from "./llm/index.js";
+import { recordUsage, isKeywordOnly } from "./budget.js";
+import { matches } from "./metrics.js";
+import { logger } from "./logger.js";
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const siteMapPath = path.join(__dirname, "../data/siteMap.json");
-const faqPath = path.join(__dirname, "../data/faq.json");
+// Provider and model per task ("navigation", "chat", "general") are set
+// in services/llm (LLM_PROVIDER, LLM_CHAT_MODEL, ...)
+
+// Keyword matching: minimum confidence (0..1) to accept the best match,
+// and how similar a misspelled word must be ("rahbr" ≈ "rahbar" is 0.83)
+const FUZZY_THRESHOLD = parseFloat(process.env.FUZZY_THRESHOLD) || 0.8;
+
+const MATCH_CONFIG = {
+  faq: {
+    minConfidence: parseFloat(process.env.FAQ_MIN_CONFIDENCE) || 0.6,
+    fuzzyThreshold:
+      parseFloat(process.env.FAQ_FUZZY_THRESHOLD) || FUZZY_THRESHOLD,
+  },
+  navigation: {
+    minConfidence: parseFloat(process.env.NAVIGATION_MIN_CONFIDENCE) || 0.45,
+    fuzzyThreshold:
+      parseFloat(process.env.NAVIGATION_FUZZY_THRESHOLD) || FUZZY_THRESHOLD,
+    // How many ranked sections to return, and how close (in confidence)
+    // the runner-up must be to ask the user instead of picking one
+    maxCandidates: parseInt(process.env.NAVIGATION_CANDIDATES) || 3,
+    ambiguityMargin: parseFloat(process.env.NAVIGATION_AMBIGUITY_MARGIN) || 0.1,
+  },
+};
 
-const siteMap = JSON.parse(fs.readFileSync(siteMapPath, "utf-8"));
-const faqData = JSON.parse(fs.readFileSync(faqPath, "utf-8"));
+/**
+ * Rough usage of an LLM request (about 4 characters per token), for
+ * calls that failed or were aborted before reporting their usage.
+ * `output` is what was generated; when unknown, maxTokens is assumed.
+ */
+function estimateUsage(request, output) {
+  const promptChars = request.messages.reduce(
+    (sum, message) => sum + message.content.length,
+    0,
+  );
+  const promptTokens = Math.ceil(promptChars / 4);
+  const completionTokens =
+    output === undefined
+      ? request.maxTokens || 0
+      : Math.ceil(output.length / 4);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+  };
+}
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+/**
+ * Add the estimated usage of a call without reported usage to the
+ * budget (the provider most likely billed it) and return its tokens
+ */
+function recordEstimate(model, request, output) {
+  const usage = estimateUsage(request, output);
+  recordUsage(model, usage);
+  return usage.totalTokens;
+}
 
-// ✅ Using GPT-4o-mini for all AI operations
-const MODEL_CONFIG = {
-  navigation: "gpt-4o-mini", // For AI-based navigation matching
-  chat: "gpt-4o-mini", // For chat responses with navigation
-  general: "gpt-4o-mini", // For general conversation
-};
+/**
+ * What detection and answer results cost, for chargeRateLimit:
+ * { llm, tokens } with the reported usage of every LLM call, or its
+ * estimate when the call failed or was aborted
+ */
+export function usageOf(...results) {
+  const calls = results.filter((result) => result?.llm);
+  return {
+    llm: calls.length > 0,
+    tokens: calls.reduce(
+      (sum, result) => sum + (result.tokens || result.estimatedTokens || 0),
+      0,
+    ),
+  };
+}
 
-// You can easily switch models here if needed in the future
-const GPT_MODEL = "gpt-4o-mini";
+/**
+ * "rahbr≈rahbar 0.83 (+1.9), kim (+0.8)"
+ */
+function describeTerms(terms) {
+  return terms
+    .map(
+      (t) =>
+        `${t.fuzzy ? `${t.query}≈${t.matched} ${t.similarity}` : t.matched} (+${t.score})`,
+    )
+    .join(", ");
+}
 
 // =====================================================
 // 1️⃣ FAQ MATCHING (highest priority)
 // =====================================================
 function matchFAQ(query) {
-  const q = query.toLowerCase().trim();
-
-  const stopWords = [
-    "uchun",
-    "bilan",
-    "dan",
-    "ga",
-    "ni",
-    "ning",
-    "lar",
-    "chi",
-    "nima",
-    "qanday",
-    "bormi",
-  ];
-
-  const queryWords = q
-    .split(/\s+/)
-    .filter((word) => word.length > 2 && !stopWords.includes(word));
-
-  let bestMatch = null;
-  let highestScore = 0;
-
-  for (const faq of faqData.faqs) {
-    let score = 0;
-    let matchedKeywords = [];
-
-    for (const keyword of faq.keywords) {
-      const keywordLower = keyword.toLowerCase();
-
-      if (q === keywordLower) {
-        score += 100;
-        matchedKeywords.push(keyword);
-      } else if (q.includes(keywordLower) || keywordLower.includes(q)) {
-        score += 50;
-        matchedKeywords.push(keyword);
-      } else {
-        const keywordWords = keywordLower.split(/\s+/);
-        const matchedWords = queryWords.filter((qw) =>
-          keywordWords.some((kw) => qw === kw || kw === qw),
-        );
-
-        if (
-          matchedWords.length > 0 &&
-          matchedWords.length === keywordWords.length
-        ) {
-          score += 30 * keywordWords.length;
-          matchedKeywords.push(keyword);
-        } else if (matchedWords.length > 0) {
-          score += 10 * matchedWords.length;
-          matchedKeywords.push(keyword);
-        }
-      }
-    }
+  const [best] = searchFaqs(query, {
+    fuzzyThreshold: MATCH_CONFIG.faq.fuzzyThreshold,
+    limit: 1,
+  });
 
-    if (score > highestScore && score >= 30) {
-      highestScore = score;
-      bestMatch = {
-        ...faq,
-        matched: true,
-        score: score,
-        matchedKeywords: matchedKeywords,
-      };
-    }
+  if (!best || best.confidence < MATCH_CONFIG.faq.minConfidence) {
+    return null;
   }
 
-  if (bestMatch) {
-    console.log(
-      `💡 FAQ Match Found: ${bestMatch.question} (score: ${highestScore})`,
-    );
-    console.log(`   Matched keywords: ${bestMatch.matchedKeywords.join(", ")}`);
-  }
+  logger.debug("FAQ match found", {
+    faq: best.data.id,
+    question: localize(best.data.question),
+    score: best.score,
+    confidence: best.confidence,
+    terms: describeTerms(best.terms),
+  });
 
-  return bestMatch;
+  return {
+    ...best.data,
+    matched: true,
+    score: best.score,
+    confidence: best.confidence,
+    matchedKeywords: best.matchedKeywords,
+    terms: best.terms,
+  };
 }
 
 // =====================================================
 // 2️⃣ NAVIGATION KEYWORD MATCHING
 // =====================================================
 function keywordMatch(query) {
-  const q = query.toLowerCase().trim();
-
-  const stopWords = ["uchun", "bilan", "dan", "ga", "ni", "ning", "lar", "chi"];
-  const queryWords = q
-    .split(/\s+/)
-    .filter((word) => word.length > 2 && !stopWords.includes(word));
-
-  let bestMatch = null;
-  let highestScore = 0;
-
-  for (const item of siteMap) {
-    let score = 0;
-    let matchedKeywords = [];
-
-    for (const keyword of item.keywords) {
-      const keywordLower = keyword.toLowerCase();
-
-      if (q === keywordLower) {
-        score += 100;
-        matchedKeywords.push(keyword);
-      } else if (q.includes(keywordLower) || keywordLower.includes(q)) {
-        score += 50;
-        matchedKeywords.push(keyword);
-      } else {
-        const keywordWords = keywordLower.split(/\s+/);
-        const allWordsMatch = keywordWords.every((kw) =>
-          queryWords.some((qw) => qw.includes(kw) || kw.includes(qw)),
-        );
-
-        if (allWordsMatch && keywordWords.length > 1) {
-          score += 30 * keywordWords.length;
-          matchedKeywords.push(keyword);
-        } else if (
-          keywordWords.length === 1 &&
-          queryWords.some(
-            (qw) =>
-              qw.includes(keywordWords[0]) || keywordWords[0].includes(qw),
-          )
-        ) {
-          score += 10;
-          matchedKeywords.push(keyword);
-        }
-      }
-    }
+  const { minConfidence, maxCandidates, ambiguityMargin, fuzzyThreshold } =
+    MATCH_CONFIG.navigation;
 
-    if (score > highestScore && score > 0) {
-      highestScore = score;
-      bestMatch = {
-        url: item.url,
-        intent: item.intent,
-        matched: true,
-        score: score,
-        matchedKeywords: matchedKeywords,
-      };
-    }
-  }
+  const results = searchSiteMap(query, {
+    fuzzyThreshold,
+    limit: maxCandidates,
+  }).filter((r) => r.confidence >= minConfidence);
 
-  if (bestMatch && highestScore >= 10) {
-    console.log(
-      `🎯 Navigation Match Found: ${bestMatch.intent} (score: ${highestScore})`,
-    );
-    console.log(`   Matched keywords: ${bestMatch.matchedKeywords.join(", ")}`);
-    return bestMatch;
+  if (results.length === 0) {
+    return null;
   }
 
-  return null;
+  const [best, runnerUp] = results;
+  const ambiguous = Boolean(
+    runnerUp && best.confidence - runnerUp.confidence <= ambiguityMargin,
+  );
+
+  logger.debug("Navigation match found", {
+    intent: best.data.intent,
+    score: best.score,
+    confidence: best.confidence,
+    terms: describeTerms(best.terms),
+    candidates: ambiguous
+      ? results.map((r) => `${r.data.intent} (${r.confidence})`).join(", ")
+      : undefined,
+  });
+
+  return {
+    url: best.data.url,
+    intent: best.data.intent,
+    title: best.data.title,
+    matched: true,
+    score: best.score,
+    confidence: best.confidence,
+    matchedKeywords: best.matchedKeywords,
+    terms: best.terms,
+    ambiguous,
+    candidates: results.map((r) => ({
+      url: r.data.url,
+      intent: r.data.intent,
+      title: r.data.title,
+      score: r.score,
+      confidence: r.confidence,
+    })),
+  };
 }
 
 // =====================================================
 // 3️⃣ AI FALLBACK FOR NAVIGATION
 // =====================================================
 async function aiMatch(query) {
+  const siteMap = getSiteMap();
   const sectionsText = siteMap
     .map(
       (item, idx) =>
         `${idx + 1}. "${item.intent}" → ${
           item.url
-        }\n   Keywords: ${item.keywords.slice(0, 5).join(", ")}`,
+        }\n   Keywords: ${allKeywords(item).slice(0, 5).join(", ")}`,
     )
     .join("\n\n");
 
@@ -214,28 +208,34 @@ IMPORTANT:
 
 Your response:`;
 
+  const request = {
+    messages: [{ role: "user", content: prompt }],
+    temperature: 0,
+    maxTokens: 50,
+  };
+
   try {
-    const model = MODEL_CONFIG.navigation;
     const startTime = Date.now();
 
-    const response = await openai.chat.completions.create({
-      model,
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0,
-      max_tokens: 50,
-    });
+    const response = await complete("navigation", request);
 
     const processingTime = Date.now() - startTime;
-    const text = response.choices[0].message.content.trim();
+    const { text, model } = response;
+    recordUsage(model, response.usage);
 
-    console.log(`🤖 AI Response: "${text}" (${model}, ${processingTime}ms)`);
+    logger.debug("AI navigation response", {
+      text,
+      model,
+      processingTimeMs: processingTime,
+    });
 
     if (text === "NOT_FOUND") {
       return {
         url: "NOT_FOUND",
         matched: false,
         model,
-        tokens: response.usage?.total_tokens || 0,
+        llm: true,
+        tokens: response.usage.totalTokens,
         processingTime,
       };
     }
@@ -243,106 +243,249 @@ Your response:`;
     const foundItem = siteMap.find((item) => item.url === text);
 
     if (!foundItem) {
-      console.log(`⚠️ AI returned invalid URL: ${text}`);
+      logger.warn("AI returned invalid URL", { url: text, model });
       return {
         url: "NOT_FOUND",
         matched: false,
         model,
-        tokens: response.usage?.total_tokens || 0,
+        llm: true,
+        tokens: response.usage.totalTokens,
         processingTime,
       };
     }
 
-    console.log(`✅ AI Match Found: ${foundItem.intent}`);
     return {
       url: text,
       intent: foundItem.intent,
+      title: foundItem.title,
+      candidates: [
+        { url: text, intent: foundItem.intent, title: foundItem.title },
+      ],
       matched: true,
       model,
-      tokens: response.usage?.total_tokens || 0,
+      llm: true,
+      tokens: response.usage.totalTokens,
       processingTime,
     };
   } catch (error) {
-    console.error("AI Match Error:", error);
-    return { url: "NOT_FOUND", matched: false };
+    logger.error("AI match error", { error });
+    const { model } = getTaskConfig("navigation");
+    return {
+      url: "NOT_FOUND",
+      matched: false,
+      model,
+      llm: true,
+      tokens: 0,
+      estimatedTokens: recordEstimate(model, request),
+    };
   }
 }
 
 // =====================================================
 // 🔍 MAIN DETECTION FUNCTION
 // =====================================================
-export async function detectNavigation(query) {
-  console.log(`\n🔍 Processing query: "${query}"`);
+// Results carry matchedBy: "keyword" or "ai" (queries the keywords missed).
+// `ai: false` skips the AI fallback (e.g. the client's chat budget is spent)
+export async function detectNavigation(query, { ai = true } = {}) {
+  logger.debug("Detecting navigation", { query });
 
   const faqResult = matchFAQ(query);
   if (faqResult) {
-    console.log(`✅ FAQ answer found\n`);
+    logger.info("Query matched", { by: "faq", faq: faqResult.id });
+    matches.inc({ source: "faq" });
     return {
       type: "FAQ",
       matched: true,
       faq: faqResult,
+      matchedBy: "keyword",
       model: "keyword-match",
       tokens: 0,
     };
   }
 
   const keywordResult = keywordMatch(query);
+  if (keywordResult && keywordResult.ambiguous) {
+    logger.info("Query matched", {
+      by: "clarify",
+      candidates: keywordResult.candidates.map((c) => c.intent),
+    });
+    matches.inc({ source: "clarify" });
+    return {
+      type: "CLARIFY",
+      matched: true,
+      candidates: keywordResult.candidates,
+      matchedBy: "keyword",
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
   if (keywordResult) {
-    console.log(`✅ Navigation detected via keywords\n`);
+    logger.info("Query matched", {
+      by: "navigation",
+      intent: keywordResult.intent,
+    });
+    matches.inc({ source: "navigation" });
     return {
       type: "NAVIGATION",
       ...keywordResult,
+      matchedBy: "keyword",
       model: "keyword-match",
       tokens: 0,
     };
   }
 
-  console.log(`⏭️ No keyword match, trying AI...`);
+  if (!ai || isKeywordOnly()) {
+    logger.info("No keyword match, AI is off (budget)");
+    matches.inc({ source: "not_found" });
+    return {
+      type: "NOT_FOUND",
+      matched: false,
+      matchedBy: "keyword",
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
+  logger.debug("No keyword match, trying AI");
 
   const aiResult = await aiMatch(query);
-  console.log(`${aiResult.matched ? "✅" : "❌"} AI navigation result\n`);
+  logger.info(aiResult.matched ? "Query matched" : "No match found", {
+    by: "ai_fallback",
+    intent: aiResult.intent,
+    model: aiResult.model,
+  });
+  matches.inc({ source: aiResult.matched ? "ai_fallback" : "not_found" });
 
   if (aiResult.matched) {
     return {
       type: "NAVIGATION",
       ...aiResult,
+      matchedBy: "ai",
     };
   }
 
   return {
     type: "NOT_FOUND",
     matched: false,
+    matchedBy: "ai",
     model: aiResult.model || "none",
+    llm: aiResult.llm,
     tokens: aiResult.tokens || 0,
+    estimatedTokens: aiResult.estimatedTokens,
   };
 }
 
+// =====================================================
+// 🧠 CONVERSATION HISTORY → OPENAI MESSAGES
+// =====================================================
+function buildHistoryMessages(history = []) {
+  return history.map((turn) => {
+    if (turn.role !== "assistant" || !turn.result) {
+      return { role: turn.role, content: turn.content };
+    }
+
+    // Tell the model what the previous answer was based on
+    let context = "";
+    if (turn.result.faq) {
+      context = `\n[FAQ: ${turn.result.faq.question}]`;
+    } else if (turn.result.navigation) {
+      context = `\n[Yo'naltirildi: "${turn.result.navigation.intent}" → ${turn.result.navigation.url}]`;
+    } else if (turn.result.candidates) {
+      context = `\n[Variantlar: ${turn.result.candidates
+        .map((c, idx) => `${idx + 1}. "${c.intent}" → ${c.url}`)
+        .join("; ")}]`;
+    }
+
+    return { role: "assistant", content: `${turn.content}${context}` };
+  });
+}
+
 // =====================================================
 // 💬 GENERATE CHAT RESPONSE
 // =====================================================
-export async function generateChatResponse(query, detectionResult) {
-  if (detectionResult && detectionResult.type === "FAQ") {
-    return {
-      message: detectionResult.faq.answer,
-      model: "keyword-match",
-      tokens: 0,
-    };
-  }
+const ERROR_MESSAGES = {
+  uz: "Kechirasiz, xatolik yuz berdi. Qaytadan urinib ko'ring.",
+  ru: "Извините, произошла ошибка. Попробуйте ещё раз.",
+  en: "Sorry, something went wrong. Please try again.",
+};
+
+const CLARIFY_MESSAGES = {
+  uz: "Bir nechta bo'lim mos keladi. Qaysi biri kerak?",
+  ru: "Подходит несколько разделов. Какой из них вам нужен?",
+  en: "Several sections match. Which one do you mean?",
+};
+
+const KEYWORD_ONLY_MESSAGES = {
+  uz: "Hozir faqat ko'p beriladigan savollar va sayt bo'limlari bo'yicha yordam bera olaman. Iltimos, savolingizni boshqacha yozing yoki kerakli bo'lim nomini kiriting.",
+  ru: "Сейчас я могу помочь только с частыми вопросами и разделами сайта. Пожалуйста, переформулируйте вопрос или назовите нужный раздел.",
+  en: "Right now I can only help with frequently asked questions and site sections. Please rephrase your question or name the section you need.",
+};
+
+const LANGUAGE_RULES = {
+  uz: "HAR DOIM o'zbek tilida yozing",
+  ru: "HAR DOIM rus tilida yozing (foydalanuvchi ruscha yozmoqda)",
+  en: "HAR DOIM ingliz tilida yozing (foydalanuvchi inglizcha yozmoqda)",
+};
+
+const NAVIGATION_PHRASES = {
+  uz: [
+    "Marhamat, bu yerga bosing",
+    "Bo'lim ochilishi uchun bu yerga bosing",
+    "Iltimos, bu yerga o'ting",
+    "Tayyor, bu yerni bosing",
+  ],
+  ru: [
+    "Пожалуйста, нажмите сюда",
+    "Чтобы открыть раздел, нажмите сюда",
+    "Перейдите, пожалуйста, сюда",
+    "Готово, нажмите здесь",
+  ],
+  en: [
+    "Here you go, click here",
+    "Click here to open the section",
+    "Please follow this link",
+    "Done, click here",
+  ],
+};
 
-  const isNavigating =
+function isNavigationResult(detectionResult) {
+  return Boolean(
     detectionResult &&
     detectionResult.type === "NAVIGATION" &&
     detectionResult.matched &&
-    detectionResult.url !== "NOT_FOUND";
+    detectionResult.url !== "NOT_FOUND",
+  );
+}
+
+/**
+ * Answer without the LLM while the budget is nearly used up:
+ * navigation keeps its link text, everything else gets a polite fallback
+ */
+function keywordOnlyResponse({ isNavigating, fallbackMessage }, language) {
+  return {
+    message: isNavigating
+      ? fallbackMessage
+      : localize(KEYWORD_ONLY_MESSAGES, language),
+    model: "keyword-match",
+    tokens: 0,
+    keywordOnly: true,
+  };
+}
 
-  let systemPrompt = `Siz "Ko'prikqurilish" aksiyadorlik jamiyatining AI yordamchisisiz.
+function buildChatRequest(query, detectionResult, history, language) {
+  const isNavigating = isNavigationResult(detectionResult);
+  const phrases = localize(NAVIGATION_PHRASES, language);
+
+  const systemPrompt = `Siz "Ko'prikqurilish" aksiyadorlik jamiyatining AI yordamchisisiz.
 Siz QISQA, ANIQ va DO'STONA javob berasiz.
 
 ASOSIY QOIDALAR:
 1. Agar foydalanuvchi sahifaga o'tmoqchi bo'lsa → JUDA QISQA javob (maksimum 1-2 gap)
 2. Oddiy suhbat uchun → do'stona va tabiiy javob
-3. HAR DOIM o'zbek tilida yozing
+3. ${localize(LANGUAGE_RULES, language)}
 4. Ortiqcha tafsilot berMANG
+5. Oldingi suhbatni hisobga oling ("uning", "u yerda" kabi so'zlar oldingi javobga tegishli)
 
 ${
   isNavigating
@@ -350,46 +493,88 @@ ${
 HOZIR: Foydalanuvchini "${detectionResult.intent}" bo'limiga yo'naltiryapsiz.
 
 Faqat shuni yozing (variantlardan birini tanla):
-- "Marhamat, bu yerga bosing"
-- "Bo'lim ochilishi uchun bu yerga bosing"
-- "Iltimos, bu yerga o'ting"
-- "Tayyor, bu yerni bosing"
+${phrases.map((phrase) => `- "${phrase}"`).join("\n")}
 
 MUHIM: Link avtomatik chiqadi, siz faqat 1 gap yozing!
 `
     : ""
 }`;
 
-  try {
-    const model = MODEL_CONFIG.chat;
-    const startTime = Date.now();
-
-    const response = await openai.chat.completions.create({
-      model,
+  return {
+    isNavigating,
+    fallbackMessage: isNavigating
+      ? phrases[0]
+      : localize(ERROR_MESSAGES, language),
+    task: "chat",
+    request: {
       messages: [
         { role: "system", content: systemPrompt },
+        ...buildHistoryMessages(history),
         { role: "user", content: query },
       ],
       temperature: 0.3,
-      max_tokens: isNavigating ? 30 : 100,
-    });
+      maxTokens: isNavigating ? 30 : 100,
+    },
+  };
+}
+
+export async function generateChatResponse(
+  query,
+  detectionResult,
+  history = [],
+  language = DEFAULT_LANGUAGE,
+) {
+  if (detectionResult && detectionResult.type === "FAQ") {
+    return {
+      message: localize(detectionResult.faq.answer, language),
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
+  if (detectionResult && detectionResult.type === "CLARIFY") {
+    return {
+      message: localize(CLARIFY_MESSAGES, language),
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
+  const chatRequest = buildChatRequest(
+    query,
+    detectionResult,
+    history,
+    language,
+  );
+  if (isKeywordOnly()) {
+    return keywordOnlyResponse(chatRequest, language);
+  }
+  const { task, request, fallbackMessage } = chatRequest;
+
+  try {
+    const startTime = Date.now();
+
+    const response = await complete(task, request);
+    recordUsage(response.model, response.usage);
 
     const processingTime = Date.now() - startTime;
 
     return {
-      message: response.choices[0].message.content.trim(),
-      model,
-      tokens: response.usage?.total_tokens || 0,
+      message: response.text,
+      model: response.model,
+      llm: true,
+      tokens: response.usage.totalTokens,
       processingTime,
     };
   } catch (error) {
-    console.error("Chat Response Error:", error);
+    logger.error("Chat response error", { error });
+    const { model } = getTaskConfig(task);
     return {
-      message: isNavigating
-        ? "Bu yerga bosing"
-        : "Kechirasiz, xatolik yuz berdi. Qaytadan urinib ko'ring.",
-      model: MODEL_CONFIG.chat,
+      message: fallbackMessage,
+      model,
+      llm: true,
       tokens: 0,
+      estimatedTokens: recordEstimate(model, request),
       error: error.message,
     };
   }
@@ -398,46 +583,203 @@ MUHIM: Link avtomatik chiqadi, siz faqat 1 gap yozing!
 // =====================================================
 // 💬 CONVERSATIONAL CHAT (no navigation/FAQ)
 // =====================================================
-export async function generateGeneralChat(query) {
+function buildGeneralChatRequest(query, history, language) {
   const systemPrompt = `Siz "Ko'prikqurilish" aksiyadorlik jamiyatining yordamchi AI assistentisiz.
 
 VAZIFANGIZ:
 1. Do'stona va professional javob bering
 2. Qisqa va aniq gaplashing (3-4 gap)
 3. Agar kerak bo'lsa, sayt bo'limlari haqida ma'lumot bering
-4. O'zbek tilida yozing
+4. ${localize(LANGUAGE_RULES, language)}
+5. Oldingi suhbatni hisobga oling
 
 Kompaniya: Ko'prikqurilish - qurilish sohasida faoliyat yuritadi.`;
 
-  try {
-    const model = MODEL_CONFIG.general;
-    const startTime = Date.now();
-
-    const response = await openai.chat.completions.create({
-      model,
+  return {
+    fallbackMessage: localize(ERROR_MESSAGES, language),
+    task: "general",
+    request: {
       messages: [
         { role: "system", content: systemPrompt },
+        ...buildHistoryMessages(history),
         { role: "user", content: query },
       ],
       temperature: 0.7,
-      max_tokens: 100,
-    });
+      maxTokens: 100,
+    },
+  };
+}
+
+export async function generateGeneralChat(
+  query,
+  history = [],
+  language = DEFAULT_LANGUAGE,
+) {
+  const chatRequest = buildGeneralChatRequest(query, history, language);
+  if (isKeywordOnly()) {
+    return keywordOnlyResponse(chatRequest, language);
+  }
+  const { task, request, fallbackMessage } = chatRequest;
+
+  try {
+    const startTime = Date.now();
+
+    const response = await complete(task, request);
+    recordUsage(response.model, response.usage);
 
     const processingTime = Date.now() - startTime;
 
     return {
-      message: response.choices[0].message.content.trim(),
-      model,
-      tokens: response.usage?.total_tokens || 0,
+      message: response.text,
+      model: response.model,
+      llm: true,
+      tokens: response.usage.totalTokens,
       processingTime,
     };
   } catch (error) {
-    console.error("General Chat Error:", error);
+    logger.error("General chat error", { error });
+    const { model } = getTaskConfig(task);
     return {
-      message: "Kechirasiz, xatolik yuz berdi. Qaytadan urinib ko'ring.",
-      model: MODEL_CONFIG.general,
+      message: fallbackMessage,
+      model,
+      llm: true,
       tokens: 0,
+      estimatedTokens: recordEstimate(model, request),
       error: error.message,
     };
   }
 }
+
+// =====================================================
+// 📡 STREAMING VARIANTS (Server-Sent Events)
+// =====================================================
+async function streamCompletion(chatRequest, onToken, signal, language) {
+  if (isKeywordOnly()) {
+    const response = keywordOnlyResponse(chatRequest, language);
+    onToken(response.message);
+    return response;
+  }
+
+  const { task, request, fallbackMessage } = chatRequest;
+  const startTime = Date.now();
+  const { model } = getTaskConfig(task);
+  let message = "";
+  let tokens = 0;
+
+  try {
+    for await (const part of stream(task, request, { signal })) {
+      if (part.delta) {
+        message += part.delta;
+        onToken(part.delta);
+      }
+      if (part.usage) {
+        tokens = part.usage.totalTokens;
+        recordUsage(model, part.usage);
+      }
+    }
+
+    return {
+      message: message.trim(),
+      model,
+      llm: true,
+      tokens,
+      // Providers that don't report usage for streams
+      ...(!tokens && {
+        estimatedTokens: recordEstimate(model, request, message),
+      }),
+      processingTime: Date.now() - startTime,
+    };
+  } catch (error) {
+    // Usage only comes with the last chunk: count what was generated
+    // up to the disconnect
+    if (error.code === "aborted" || signal?.aborted) {
+      return {
+        message: message.trim(),
+        model,
+        llm: true,
+        tokens,
+        ...(!tokens && {
+          estimatedTokens: recordEstimate(model, request, message),
+        }),
+        processingTime: Date.now() - startTime,
+        aborted: true,
+        error: "Client disconnected",
+      };
+    }
+
+    logger.error("Stream error", { error });
+
+    // Nothing streamed yet - send the usual fallback text instead
+    if (!message) {
+      onToken(fallbackMessage);
+    }
+
+    return {
+      message: message.trim() || fallbackMessage,
+      model,
+      llm: true,
+      tokens,
+      ...(!tokens && {
+        estimatedTokens: recordEstimate(model, request, message || undefined),
+      }),
+      processingTime: Date.now() - startTime,
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Same as generateChatResponse, but calls onToken for every text chunk.
+ * FAQ answers and clarifying questions are sent as a single chunk.
+ */
+export async function streamChatResponse(
+  query,
+  detectionResult,
+  history = [],
+  language = DEFAULT_LANGUAGE,
+  { onToken, signal } = {},
+) {
+  if (detectionResult && detectionResult.type === "FAQ") {
+    const answer = localize(detectionResult.faq.answer, language);
+    onToken(answer);
+    return {
+      message: answer,
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
+  if (detectionResult && detectionResult.type === "CLARIFY") {
+    const message = localize(CLARIFY_MESSAGES, language);
+    onToken(message);
+    return {
+      message,
+      model: "keyword-match",
+      tokens: 0,
+    };
+  }
+
+  return streamCompletion(
+    buildChatRequest(query, detectionResult, history, language),
+    onToken,
+    signal,
+    language,
+  );
+}
+
+/**
+ * Same as generateGeneralChat, but calls onToken for every text chunk.
+ */
+export async function streamGeneralChat(
+  query,
+  history = [],
+  language = DEFAULT_LANGUAGE,
+  { onToken, signal } = {},
+) {
+  return streamCompletion(
+    buildGeneralChatRequest(query, history, language),
+    onToken,
+    signal,
+    language,
+  );
+}
@@ -0,0 +1,151 @@
+// services/auditLog.js - Sign-ins and rejected access to protected routes
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getDb } from "./db/index.js";
+import { logger } from "./logger.js";
+import { anonymizeIp } from "./privacy.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where events were kept before the database
+const LEGACY_AUDIT_LOG = path.join(__dirname, "../logs/auth-audit.json");
+
+const INSERT_EVENT = `
+  INSERT INTO auth_events (
+    timestamp, event, username, role, reason, method, path, ip, user_agent
+  ) VALUES (
+    @timestamp, @event, @username, @role, @reason, @method, @path, @ip,
+    @user_agent
+  )
+`;
+
+function toRow(entry) {
+  return {
+    timestamp: entry.timestamp,
+    event: entry.event,
+    username: entry.username ?? null,
+    role: entry.role ?? null,
+    reason: entry.reason ?? null,
+    method: entry.method ?? null,
+    path: entry.path ?? null,
+    // Stored like the request log's IPs (LOG_IP_MODE)
+    ip: anonymizeIp(entry.ip) ?? null,
+    user_agent: entry.userAgent ?? null,
+  };
+}
+
+function fromRow(row) {
+  return {
+    timestamp: row.timestamp,
+    event: row.event,
+    username: row.username,
+    role: row.role,
+    reason: row.reason,
+    method: row.method,
+    path: row.path,
+    ip: row.ip,
+    userAgent: row.user_agent,
+  };
+}
+
+/**
+ * Bring events from logs/auth-audit.json into the database, once
+ */
+function importLegacyLog() {
+  if (!fs.existsSync(LEGACY_AUDIT_LOG)) return;
+
+  try {
+    const { events = [] } = JSON.parse(
+      fs.readFileSync(LEGACY_AUDIT_LOG, "utf-8"),
+    );
+    const db = getDb();
+    const insert = db.prepare(INSERT_EVENT);
+    db.transaction(() => events.forEach((e) => insert.run(toRow(e))))();
+
+    fs.renameSync(LEGACY_AUDIT_LOG, `${LEGACY_AUDIT_LOG}.migrated`);
+    logger.info("Imported auth audit log", { events: events.length });
+  } catch (error) {
+    logger.error("Error importing auth audit log", { error });
+  }
+}
+
+importLegacyLog();
+
+/**
+ * Record an auth event.
+ * event: "login" | "login_failed" | "logout" | "unauthenticated"
+ *        | "token_invalid" | "token_expired" | "forbidden"
+ */
+export function recordAuthEvent(req, event, details = {}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    event,
+    username: details.username || null,
+    role: details.role || null,
+    reason: details.reason || null,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+  };
+
+  if (event !== "login" && event !== "logout") {
+    logger.warn("Auth event", {
+      event,
+      method: entry.method,
+      path: entry.path,
+      ip: anonymizeIp(entry.ip),
+      username: entry.username || undefined,
+    });
+  }
+
+  try {
+    getDb().prepare(INSERT_EVENT).run(toRow(entry));
+  } catch (error) {
+    logger.error("Error writing auth audit log", { error });
+  }
+}
+
+/**
+ * Audit events, most recent first
+ */
+export function getAuthEvents({ limit = 100, event } = {}) {
+  try {
+    return getDb()
+      .prepare(
+        `SELECT * FROM auth_events
+         ${event ? "WHERE event = @event" : ""}
+         ORDER BY id DESC
+         LIMIT @limit`,
+      )
+      .all({ limit, ...(event && { event }) })
+      .map(fromRow);
+  } catch (error) {
+    logger.error("Error reading auth audit log", { error });
+    return [];
+  }
+}
+
+/**
+ * Delete events older than `cutoff`
+ */
+export function deleteAuthEventsBefore(cutoff) {
+  return getDb()
+    .prepare("DELETE FROM auth_events WHERE timestamp < ?")
+    .run(new Date(cutoff).toISOString()).changes;
+}
+
+/**
+ * Delete every event from one of `ips`
+ */
+export function deleteAuthEventsFrom(ips) {
+  if (ips.length === 0) return 0;
+
+  return getDb()
+    .prepare(
+      `DELETE FROM auth_events WHERE ip IN (${ips.map(() => "?").join(", ")})`,
+    )
+    .run(...ips).changes;
+}
@@ -0,0 +1,150 @@
+// services/authService.js - Dashboard users, password hashes and signed tokens
+import crypto from "crypto";
+import { promisify } from "util";
+import { logger } from "./logger.js";
+
+// Async, so checking a password doesn't block other requests
+const scrypt = promisify(crypto.scrypt);
+
+// Roles, lowest first: a role may do everything the roles before it can
+export const ROLES = ["viewer", "admin"];
+
+const TOKEN_TTL_MS =
+  (parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// scrypt parameters (Node defaults, 64-byte key)
+const SCRYPT_KEY_LENGTH = 64;
+const HASH_PREFIX = "scrypt";
+
+// Without a configured secret tokens only survive until the next restart
+const TOKEN_SECRET =
+  process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.AUTH_SECRET) {
+  logger.warn("AUTH_SECRET is not set, sign-ins will not survive a restart");
+}
+
+/**
+ * Hash a password: "scrypt$<salt>$<key>" (hex)
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `${HASH_PREFIX}$${salt.toString("hex")}$${key.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword
+ */
+export async function verifyPassword(password, hash) {
+  const [prefix, saltHex, keyHex] = String(hash).split("$");
+  if (prefix !== HASH_PREFIX || !saltHex || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, "hex");
+  if (expected.length === 0) return false;
+
+  const actual = await scrypt(
+    String(password),
+    Buffer.from(saltHex, "hex"),
+    expected.length,
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Users from AUTH_USERS: "name:role:hash,name:role:hash"
+ */
+function loadUsers() {
+  const users = new Map();
+
+  for (const item of (process.env.AUTH_USERS || "").split(",")) {
+    if (!item.trim()) continue;
+
+    const [username, role, hash] = item.trim().split(":");
+    if (!username || !ROLES.includes(role) || !hash?.startsWith(HASH_PREFIX)) {
+      logger.error("Ignoring malformed AUTH_USERS entry", { username });
+      continue;
+    }
+    users.set(username, { username, role, hash });
+  }
+
+  if (users.size === 0) {
+    logger.warn("No AUTH_USERS configured, dashboard sign-in is disabled");
+  }
+
+  return users;
+}
+
+const users = loadUsers();
+
+// Compared against when the user doesn't exist, so timing doesn't reveal it
+const DUMMY_HASH = hashPassword(crypto.randomBytes(8).toString("hex"));
+
+/**
+ * Check credentials. Resolves to { username, role } or null.
+ */
+export async function authenticate(username, password) {
+  const user = users.get(String(username || ""));
+  const valid = await verifyPassword(
+    password || "",
+    user ? user.hash : DUMMY_HASH,
+  );
+  return user && valid ? { username: user.username, role: user.role } : null;
+}
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", TOKEN_SECRET).update(payload).digest("base64url");
+
+/**
+ * Signed token: base64url(JSON payload) + "." + HMAC
+ */
+export function issueToken({ username, role }) {
+  const expiresAt = Date.now() + TOKEN_TTL_MS;
+  const payload = Buffer.from(
+    JSON.stringify({ sub: username, role, exp: expiresAt }),
+  ).toString("base64url");
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt, role };
+}
+
+/**
+ * Verify a token.
+ * Returns { user } or { error: "invalid" | "expired" | "unknown_user" }.
+ */
+export function verifyToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return { error: "invalid" };
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { error: "invalid" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch {
+    return { error: "invalid" };
+  }
+
+  if (Date.now() > claims.exp) return { error: "expired" };
+
+  // Removed users lose access right away; role changes apply too
+  const user = users.get(claims.sub);
+  if (!user) return { error: "unknown_user" };
+
+  return { user: { username: user.username, role: user.role } };
+}
+
+/**
+ * Whether `role` includes the permissions of `required`
+ */
+export function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export const TOKEN_TTL_SECONDS = Math.floor(TOKEN_TTL_MS / 1000);
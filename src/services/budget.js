@@ -0,0 +1,275 @@
+// services/budget.js - Global daily / monthly LLM spend and the keyword-only switch
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getDb } from "./db/index.js";
+import { gauge, llmTokens } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where spend was kept before the database
+const LEGACY_SPEND_LOG = path.join(__dirname, "../logs/llm-spend.json");
+const KEEP_DAYS = 62;
+const KEEP_MONTHS = 12;
+
+// USD per 1M tokens. Extend or override with LLM_PRICING, e.g.
+// LLM_PRICING={"llama3.1":{"input":0,"output":0}}
+const MODEL_PRICING = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  mock: { input: 0, output: 0 },
+  ...parsePricing(process.env.LLM_PRICING),
+};
+
+// Limits (unset or 0 = no limit). Days and months are UTC.
+const BUDGET = {
+  daily: {
+    tokens: parseInt(process.env.BUDGET_DAILY_TOKENS) || 0,
+    usd: parseFloat(process.env.BUDGET_DAILY_USD) || 0,
+  },
+  monthly: {
+    tokens: parseInt(process.env.BUDGET_MONTHLY_TOKENS) || 0,
+    usd: parseFloat(process.env.BUDGET_MONTHLY_USD) || 0,
+  },
+  // Share of any limit at which the LLM is switched off
+  keywordOnlyAt: parseFloat(process.env.BUDGET_KEYWORD_ONLY_AT) || 0.95,
+};
+
+function parsePricing(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error("Invalid LLM_PRICING", { error });
+    return {};
+  }
+}
+
+// Added up in one statement, so several processes can share the database
+const ADD_SPEND = `
+  INSERT INTO llm_spend (period, model, tokens, usd)
+  VALUES (@period, @model, @tokens, @usd)
+  ON CONFLICT (period, model) DO UPDATE SET
+    tokens = tokens + excluded.tokens,
+    usd = usd + excluded.usd
+`;
+
+/**
+ * Bring logs/llm-spend.json into the database, once
+ */
+function importLegacySpend() {
+  if (!fs.existsSync(LEGACY_SPEND_LOG)) return;
+
+  try {
+    const { days = {}, months = {} } = JSON.parse(
+      fs.readFileSync(LEGACY_SPEND_LOG, "utf-8"),
+    );
+    const db = getDb();
+    const add = db.prepare(ADD_SPEND);
+    db.transaction(() => {
+      for (const [period, { models = {} }] of Object.entries({
+        ...days,
+        ...months,
+      })) {
+        for (const [model, { tokens, usd }] of Object.entries(models)) {
+          add.run({ period, model, tokens, usd });
+        }
+      }
+    })();
+
+    fs.renameSync(LEGACY_SPEND_LOG, `${LEGACY_SPEND_LOG}.migrated`);
+    logger.info("Imported LLM spend log", {
+      days: Object.keys(days).length,
+      months: Object.keys(months).length,
+    });
+  } catch (error) {
+    logger.error("Error importing LLM spend log", { error });
+  }
+}
+
+/**
+ * Drop the periods the budget no longer looks at
+ */
+function pruneSpend() {
+  try {
+    const db = getDb();
+    for (const [length, keep] of [
+      [10, KEEP_DAYS],
+      [7, KEEP_MONTHS],
+    ]) {
+      db.prepare(
+        `DELETE FROM llm_spend
+         WHERE length(period) = @length
+           AND period NOT IN (
+             SELECT DISTINCT period FROM llm_spend
+             WHERE length(period) = @length
+             ORDER BY period DESC
+             LIMIT @keep
+           )`,
+      ).run({ length, keep });
+    }
+  } catch (error) {
+    logger.error("Error pruning LLM spend", { error });
+  }
+}
+
+importLegacySpend();
+pruneSpend();
+
+const unpricedModels = new Set();
+let wasKeywordOnly = false;
+
+// The status is checked before every LLM call and on every metrics
+// scrape: the database is read at most this often, and after each
+// recordUsage (other processes' spend shows up within this time)
+const STATUS_CACHE_MS = 5000;
+let cachedStatus = null;
+
+/**
+ * Spend of one period: { tokens, usd, models: { [model]: { tokens, usd } } }
+ */
+function loadPeriod(period) {
+  let rows;
+  try {
+    rows = getDb()
+      .prepare("SELECT model, tokens, usd FROM llm_spend WHERE period = ?")
+      .all(period);
+  } catch (error) {
+    logger.error("Error reading LLM spend", { error });
+    return null;
+  }
+  if (rows.length === 0) return null;
+
+  return rows.reduce(
+    (total, { model, tokens, usd }) => {
+      total.tokens += tokens;
+      total.usd += usd;
+      total.models[model] = { tokens, usd };
+      return total;
+    },
+    { tokens: 0, usd: 0, models: {} },
+  );
+}
+
+function periodKeys(date = new Date()) {
+  const day = date.toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+/**
+ * Price of one call in USD (0 for models without a price)
+ */
+export function priceUsage(model, { promptTokens = 0, completionTokens = 0 }) {
+  const price = MODEL_PRICING[model];
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(
+        "No price for model, counting its tokens only (see LLM_PRICING)",
+        { model },
+      );
+    }
+    return 0;
+  }
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+/**
+ * Add an LLM call to today's and this month's spend.
+ * usage: { promptTokens, completionTokens, totalTokens } from services/llm
+ */
+export function recordUsage(model, usage) {
+  if (!usage || !usage.totalTokens) return;
+
+  llmTokens.inc({ model, kind: "prompt" }, usage.promptTokens || 0);
+  llmTokens.inc({ model, kind: "completion" }, usage.completionTokens || 0);
+
+  const cost = priceUsage(model, usage);
+  const { day, month } = periodKeys();
+
+  try {
+    const db = getDb();
+    const add = db.prepare(ADD_SPEND);
+    db.transaction(() => {
+      for (const period of [day, month]) {
+        add.run({ period, model, tokens: usage.totalTokens, usd: cost });
+      }
+    })();
+  } catch (error) {
+    logger.error("Error writing LLM spend", { error });
+  }
+
+  cachedStatus = null;
+  isKeywordOnly();
+}
+
+function describePeriod(key, period, limits) {
+  const used = period || { tokens: 0, usd: 0, models: {} };
+  const ratios = [
+    limits.tokens ? used.tokens / limits.tokens : 0,
+    limits.usd ? used.usd / limits.usd : 0,
+  ];
+
+  return {
+    period: key,
+    tokens: used.tokens,
+    usd: Math.round(used.usd * 1e6) / 1e6,
+    limitTokens: limits.tokens || null,
+    limitUsd: limits.usd || null,
+    used: Math.round(Math.max(...ratios) * 1000) / 1000,
+    models: used.models,
+  };
+}
+
+/**
+ * Spend against the budget for today and this month.
+ * `used` is the highest share of a limit used (1 = a limit is reached).
+ */
+export function getBudgetStatus() {
+  if (cachedStatus && Date.now() < cachedStatus.expiresAt) {
+    return cachedStatus.status;
+  }
+
+  const { day, month } = periodKeys();
+  const daily = describePeriod(day, loadPeriod(day), BUDGET.daily);
+  const monthly = describePeriod(month, loadPeriod(month), BUDGET.monthly);
+
+  const status = {
+    keywordOnly: Math.max(daily.used, monthly.used) >= BUDGET.keywordOnlyAt,
+    keywordOnlyAt: BUDGET.keywordOnlyAt,
+    daily,
+    monthly,
+  };
+  cachedStatus = { status, expiresAt: Date.now() + STATUS_CACHE_MS };
+  return status;
+}
+
+gauge(
+  "assistant_budget_keyword_only",
+  "1 while the LLM budget is nearly used up (keyword-only answers)",
+  () => (getBudgetStatus().keywordOnly ? 1 : 0),
+);
+
+/**
+ * True when the budget is nearly used up: only FAQ and keyword
+ * navigation are answered until the next day / month
+ */
+export function isKeywordOnly() {
+  const { keywordOnly } = getBudgetStatus();
+
+  if (keywordOnly !== wasKeywordOnly) {
+    wasKeywordOnly = keywordOnly;
+    logger.warn(
+      keywordOnly
+        ? "LLM budget nearly used up, switching to keyword-only mode"
+        : "LLM budget available again, AI answers are back on",
+    );
+  }
+  return keywordOnly;
+}
@@ -0,0 +1,143 @@
+// services/charts.js - Inline SVG charts for the dashboard (no client scripts or CDN)
+
+const COLORS = ["#667eea", "#e65100", "#2e7d32", "#7b1fa2", "#c62828"];
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Round axis maximum: 1, 2 or 5 × 10^n at or above `value`
+ */
+function niceMax(value) {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find((s) => s * magnitude >= value);
+  return step * magnitude;
+}
+
+/**
+ * Line chart over time.
+ * points: [{ label, ...values }]; lines: [{ key, name }]
+ */
+export function lineChart(points, lines, { width = 640, height = 220 } = {}) {
+  if (points.length === 0) return `<p class="chart-empty">No data</p>`;
+
+  const pad = { top: 20, right: 15, bottom: 30, left: 45 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const max = niceMax(
+    Math.max(...points.flatMap((p) => lines.map((l) => p[l.key] || 0))),
+  );
+
+  const x = (i) =>
+    pad.left +
+    (points.length === 1
+      ? plotWidth / 2
+      : (i / (points.length - 1)) * plotWidth);
+  const y = (value) => pad.top + plotHeight - (value / max) * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1]
+    .map((f) => {
+      const value = Math.round(max * f);
+      return `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#eee"/>
+      <text x="${pad.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="10" fill="#999">${value}</text>`;
+    })
+    .join("");
+
+  // About 6 time labels, whatever the number of points
+  const every = Math.max(1, Math.ceil(points.length / 6));
+  const labels = points
+    .map((p, i) =>
+      i % every === 0
+        ? `<text x="${x(i)}" y="${height - 10}" text-anchor="middle" font-size="10" fill="#999">${escapeXml(p.label)}</text>`
+        : "",
+    )
+    .join("");
+
+  const paths = lines
+    .map((line, n) => {
+      const color = COLORS[n % COLORS.length];
+      const d = points
+        .map((p, i) => `${i ? "L" : "M"}${x(i)},${y(p[line.key] || 0)}`)
+        .join(" ");
+      const dots = points
+        .map(
+          (p, i) =>
+            `<circle cx="${x(i)}" cy="${y(p[line.key] || 0)}" r="2.5" fill="${color}"><title>${escapeXml(`${p.label}: ${p[line.key] || 0} ${line.name}`)}</title></circle>`,
+        )
+        .join("");
+      return `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"/>${dots}`;
+    })
+    .join("");
+
+  const legend = lines
+    .map(
+      (line, n) =>
+        `<rect x="${pad.left + n * 110}" y="4" width="10" height="10" fill="${COLORS[n % COLORS.length]}"/>
+      <text x="${pad.left + n * 110 + 14}" y="13" font-size="11" fill="#666">${escapeXml(line.name)}</text>`,
+    )
+    .join("");
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img">${grid}${labels}${paths}${legend}</svg>`;
+}
+
+/**
+ * Horizontal bar chart. items: [{ label, value }]
+ */
+export function barChart(items, { width = 640, unit = "", color } = {}) {
+  if (items.length === 0) return `<p class="chart-empty">No data</p>`;
+
+  const rowHeight = 22;
+  const labelWidth = 220;
+  const barWidth = width - labelWidth - 60;
+  const max = Math.max(...items.map((item) => item.value), 1);
+
+  const rows = items
+    .map((item, i) => {
+      const y = i * rowHeight;
+      const w = Math.max((item.value / max) * barWidth, 1);
+      const label =
+        item.label.length > 32 ? `${item.label.slice(0, 31)}…` : item.label;
+      return `<text x="${labelWidth - 8}" y="${y + 15}" text-anchor="end" font-size="12" fill="#333">${escapeXml(label)}<title>${escapeXml(item.label)}</title></text>
+      <rect x="${labelWidth}" y="${y + 4}" width="${w}" height="${rowHeight - 8}" rx="3" fill="${color || COLORS[0]}"/>
+      <text x="${labelWidth + w + 6}" y="${y + 15}" font-size="11" fill="#666">${item.value}${unit}</text>`;
+    })
+    .join("");
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${items.length * rowHeight}" width="100%" role="img">${rows}</svg>`;
+}
+
+/**
+ * One bar split into shares. parts: [{ label, value }]
+ */
+export function stackedBar(parts, { width = 640 } = {}) {
+  const total = parts.reduce((sum, p) => sum + p.value, 0);
+  if (total === 0) return `<p class="chart-empty">No data</p>`;
+
+  let x = 0;
+  const segments = parts
+    .map((part, n) => {
+      const w = (part.value / total) * width;
+      const percent = Math.round((part.value / total) * 100);
+      const segment = `<rect x="${x}" y="0" width="${w}" height="24" fill="${COLORS[n % COLORS.length]}"><title>${escapeXml(`${part.label}: ${part.value} (${percent}%)`)}</title></rect>
+      ${w > 40 ? `<text x="${x + w / 2}" y="16" text-anchor="middle" font-size="11" fill="white">${percent}%</text>` : ""}`;
+      x += w;
+      return segment;
+    })
+    .join("");
+
+  const legend = parts
+    .map(
+      (part, n) =>
+        `<rect x="${n * 160}" y="34" width="10" height="10" fill="${COLORS[n % COLORS.length]}"/>
+      <text x="${n * 160 + 14}" y="43" font-size="11" fill="#666">${escapeXml(`${part.label} (${part.value})`)}</text>`,
+    )
+    .join("");
+
+  return `<svg class="chart" viewBox="0 0 ${width} 50" width="100%" role="img">${segments}${legend}</svg>`;
+}
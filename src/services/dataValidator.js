@@ -0,0 +1,707 @@
+// services/dataValidator.js - Schema, duplicate and conflict checks for faq.json / siteMap.json
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from "./language.js";
+import { normalizeText } from "./textNormalizer.js";
+import { wordSimilarity } from "./fuzzyMatch.js";
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+
+// Keywords this similar on the FAQ and siteMap side make routing ambiguous
+const SIMILAR_KEYWORD_THRESHOLD = 0.8;
+const MIN_STEM_LENGTH = 4;
+
+const isNonEmptyString = (value) =>
+  typeof value === "string" && value.trim().length > 0;
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// ==== JSON WITH POSITIONS ====
+
+/**
+ * JSON syntax error with a line / column
+ */
+export class JsonPositionError extends SyntaxError {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = "JsonPositionError";
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Parse JSON and remember where every value starts.
+ * Returns { data, positions } with positions keyed by path
+ * ("faqs[3].keywords.uz[0]" → { line, column }).
+ */
+export function parseJsonWithPositions(text) {
+  const positions = new Map();
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") lineStarts.push(i + 1);
+  }
+
+  const locate = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  let i = 0;
+
+  const fail = (message) => {
+    const { line, column } = locate(i);
+    throw new JsonPositionError(message, line, column);
+  };
+
+  const skipWhitespace = () => {
+    while (/\s/.test(text[i] || "")) i++;
+  };
+
+  const expect = (char) => {
+    skipWhitespace();
+    if (text[i] !== char) {
+      fail(`Expected '${char}' but found ${describe(text[i])}`);
+    }
+    i++;
+  };
+
+  const describe = (char) => (char === undefined ? "end of file" : `'${char}'`);
+
+  const parseString = () => {
+    const start = i;
+    i++; // opening quote
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === "\\") i++;
+      else if (text[i] === "\n") fail("Unterminated string");
+      i++;
+    }
+    if (i >= text.length) fail("Unterminated string");
+    i++; // closing quote
+
+    try {
+      return JSON.parse(text.slice(start, i));
+    } catch {
+      i = start;
+      fail("Invalid string");
+    }
+  };
+
+  const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  const LITERALS = { true: true, false: false, null: null };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    positions.set(path, locate(i));
+    const char = text[i];
+
+    if (char === "{") {
+      i++;
+      const object = {};
+      skipWhitespace();
+      if (text[i] === "}") {
+        i++;
+        return object;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"')
+          fail(`Expected a key but found ${describe(text[i])}`);
+        const key = parseString();
+        expect(":");
+        object[key] = parseValue(path ? `${path}.${key}` : key);
+        skipWhitespace();
+        if (text[i] === ",") {
+          i++;
+          continue;
+        }
+        expect("}");
+        return object;
+      }
+    }
+
+    if (char === "[") {
+      i++;
+      const array = [];
+      skipWhitespace();
+      if (text[i] === "]") {
+        i++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue(`${path}[${array.length}]`));
+        skipWhitespace();
+        if (text[i] === ",") {
+          i++;
+          continue;
+        }
+        expect("]");
+        return array;
+      }
+    }
+
+    if (char === '"') return parseString();
+
+    NUMBER.lastIndex = i;
+    const number = NUMBER.exec(text);
+    if (number) {
+      i += number[0].length;
+      return Number(number[0]);
+    }
+
+    for (const [word, value] of Object.entries(LITERALS)) {
+      if (text.startsWith(word, i)) {
+        i += word.length;
+        return value;
+      }
+    }
+
+    fail(`Unexpected ${describe(char)}`);
+  };
+
+  const data = parseValue("");
+  skipWhitespace();
+  if (i < text.length) fail(`Unexpected ${describe(text[i])} after the data`);
+
+  return { data, positions };
+}
+
+// ==== ENTRY SCHEMA ====
+
+/**
+ * Check a localized text: a plain string or { uz, ru, en } with Uzbek required
+ */
+function checkLocalizedText(value, field, issues, { required = true } = {}) {
+  if (value === undefined) {
+    if (required) issues.push({ field, message: "is required" });
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (!isNonEmptyString(value)) {
+      issues.push({ field, message: "must not be empty" });
+    }
+    return;
+  }
+
+  if (!isPlainObject(value)) {
+    issues.push({
+      field,
+      message: "must be a string or an object with uz/ru/en texts",
+    });
+    return;
+  }
+
+  if (!isNonEmptyString(value[DEFAULT_LANGUAGE])) {
+    issues.push({
+      field: `${field}.${DEFAULT_LANGUAGE}`,
+      message: "is required",
+    });
+  }
+
+  for (const [lang, text] of Object.entries(value)) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+      issues.push({
+        field: `${field}.${lang}`,
+        message: "unsupported language",
+      });
+    } else if (!isNonEmptyString(text)) {
+      issues.push({
+        field: `${field}.${lang}`,
+        message: "must be a non-empty string",
+      });
+    }
+  }
+}
+
+/**
+ * Check keywords: an array of phrases or { uz: [...], ru: [...], en: [...] }
+ */
+function checkKeywords(value, issues) {
+  const checkList = (list, field) => {
+    if (!Array.isArray(list)) {
+      issues.push({ field, message: "must be an array of strings" });
+      return 0;
+    }
+
+    const seen = new Map();
+    list.forEach((keyword, i) => {
+      if (!isNonEmptyString(keyword)) {
+        issues.push({
+          field: `${field}[${i}]`,
+          message: "must be a non-empty string",
+        });
+        return;
+      }
+
+      const normalized = normalizeText(keyword);
+      if (seen.has(normalized)) {
+        issues.push({
+          field: `${field}[${i}]`,
+          message: `duplicates ${field}[${seen.get(normalized)}] ("${keyword}")`,
+          severity: "warning",
+        });
+      } else {
+        seen.set(normalized, i);
+      }
+    });
+    return list.length;
+  };
+
+  if (value === undefined) {
+    issues.push({ field: "keywords", message: "is required" });
+    return;
+  }
+
+  let total = 0;
+
+  if (Array.isArray(value)) {
+    total = checkList(value, "keywords");
+  } else if (isPlainObject(value)) {
+    for (const [lang, list] of Object.entries(value)) {
+      if (!SUPPORTED_LANGUAGES.includes(lang)) {
+        issues.push({
+          field: `keywords.${lang}`,
+          message: "unsupported language",
+        });
+        continue;
+      }
+      total += checkList(list, `keywords.${lang}`);
+    }
+  } else {
+    issues.push({
+      field: "keywords",
+      message: "must be an array or an object with uz/ru/en lists",
+    });
+    return;
+  }
+
+  if (total === 0) {
+    issues.push({
+      field: "keywords",
+      message: "must contain at least one keyword",
+    });
+  }
+}
+
+function checkId(value, field, issues) {
+  if (!isNonEmptyString(value)) {
+    issues.push({ field, message: "is required" });
+  } else if (!ID_PATTERN.test(value)) {
+    issues.push({ field, message: "may only contain a-z, 0-9 and _" });
+  }
+}
+
+/**
+ * Check sharedKeywords: keywords of the entry that are also siteMap
+ * keywords on purpose, so they are left out of the conflict warnings
+ */
+function checkSharedKeywords(entry, issues) {
+  const value = entry.sharedKeywords;
+  if (value === undefined) return;
+
+  if (!Array.isArray(value)) {
+    issues.push({
+      field: "sharedKeywords",
+      message: "must be an array of strings",
+    });
+    return;
+  }
+
+  const keywords = isPlainObject(entry.keywords)
+    ? Object.values(entry.keywords).flat()
+    : entry.keywords || [];
+  const known = new Set(
+    keywords.filter(isNonEmptyString).map((k) => normalizeText(k)),
+  );
+
+  value.forEach((keyword, i) => {
+    if (!isNonEmptyString(keyword)) {
+      issues.push({
+        field: `sharedKeywords[${i}]`,
+        message: "must be a non-empty string",
+      });
+    } else if (!known.has(normalizeText(keyword))) {
+      issues.push({
+        field: `sharedKeywords[${i}]`,
+        message: `"${keyword}" is not one of the entry's keywords`,
+        severity: "warning",
+      });
+    }
+  });
+}
+
+function checkFaqEntry(entry) {
+  if (!isPlainObject(entry)) {
+    return [{ field: "", message: "entry must be an object" }];
+  }
+
+  const issues = [];
+  checkId(entry.id, "id", issues);
+  checkKeywords(entry.keywords, issues);
+  checkLocalizedText(entry.question, "question", issues);
+  checkLocalizedText(entry.answer, "answer", issues);
+  checkSharedKeywords(entry, issues);
+
+  if (entry.category !== undefined && !isNonEmptyString(entry.category)) {
+    issues.push({ field: "category", message: "must be a non-empty string" });
+  }
+
+  return issues;
+}
+
+function checkSiteMapEntry(entry) {
+  if (!isPlainObject(entry)) {
+    return [{ field: "", message: "entry must be an object" }];
+  }
+
+  const issues = [];
+  checkId(entry.intent, "intent", issues);
+
+  if (!isNonEmptyString(entry.url)) {
+    issues.push({ field: "url", message: "is required" });
+  } else if (!entry.url.startsWith("/")) {
+    issues.push({
+      field: "url",
+      message: 'must be a site path starting with "/"',
+    });
+  }
+
+  checkLocalizedText(entry.title, "title", issues, { required: false });
+  checkKeywords(entry.keywords, issues);
+
+  return issues;
+}
+
+const formatIssue = ({ field, message }) =>
+  field ? `${field} ${message}` : message;
+
+/**
+ * Validate one FAQ entry. Returns a list of error messages (empty = valid).
+ */
+export function validateFaqEntry(entry) {
+  return checkFaqEntry(entry)
+    .filter((issue) => issue.severity !== "warning")
+    .map(formatIssue);
+}
+
+/**
+ * Validate one siteMap intent. Returns a list of error messages (empty = valid).
+ */
+export function validateSiteMapEntry(entry) {
+  return checkSiteMapEntry(entry)
+    .filter((issue) => issue.severity !== "warning")
+    .map(formatIssue);
+}
+
+// ==== WHOLE FILES ====
+
+/**
+ * Position of a path, or of its closest parent that exists
+ * (a missing field is reported at its entry)
+ */
+function positionOf(positions, path) {
+  let current = path;
+  while (current && !positions.has(current)) {
+    current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, "");
+  }
+  return positions.get(current) || null;
+}
+
+/**
+ * Validate the entries of one file.
+ * Returns { entries, issues }; `entries` only holds the valid ones.
+ */
+function checkEntries({
+  file,
+  list,
+  basePath,
+  positions,
+  checkEntry,
+  idField,
+}) {
+  const issues = [];
+  const entries = [];
+  const firstById = new Map();
+  const firstByUrl = new Map();
+
+  const report = (path, message, severity = "error") => {
+    issues.push({
+      file,
+      path,
+      ...positionOf(positions, path),
+      severity,
+      message,
+    });
+  };
+
+  list.forEach((entry, index) => {
+    const entryPath = `${basePath}[${index}]`;
+    const entryIssues = checkEntry(entry);
+
+    for (const issue of entryIssues) {
+      const path = issue.field ? `${entryPath}.${issue.field}` : entryPath;
+      report(path, issue.message, issue.severity);
+    }
+
+    if (entryIssues.some((issue) => issue.severity !== "warning")) return;
+
+    const id = entry[idField];
+    if (firstById.has(id)) {
+      report(
+        `${entryPath}.${idField}`,
+        `duplicate ${idField} "${id}" (first at ${basePath}[${firstById.get(id)}])`,
+      );
+      return;
+    }
+    firstById.set(id, index);
+
+    if (entry.url !== undefined) {
+      if (firstByUrl.has(entry.url)) {
+        report(
+          `${entryPath}.url`,
+          `duplicate url "${entry.url}" (also used by "${firstByUrl.get(entry.url)}")`,
+        );
+        return;
+      }
+      firstByUrl.set(entry.url, id);
+    }
+
+    entries.push(entry);
+  });
+
+  return { entries, issues };
+}
+
+/**
+ * Parse and validate faq.json text.
+ * Returns { data, issues }; `data` is null on a syntax error,
+ * otherwise it holds only the valid entries.
+ */
+export function validateFaqFile(text, file = "faq.json") {
+  let parsed;
+  try {
+    parsed = parseJsonWithPositions(text);
+  } catch (error) {
+    return { data: null, issues: [syntaxIssue(file, error)] };
+  }
+
+  const { data, positions } = parsed;
+  if (!isPlainObject(data) || !Array.isArray(data.faqs)) {
+    return {
+      data: null,
+      issues: [
+        {
+          file,
+          path: "",
+          line: 1,
+          column: 1,
+          severity: "error",
+          message: 'expected an object with a "faqs" array',
+        },
+      ],
+    };
+  }
+
+  const { entries, issues } = checkEntries({
+    file,
+    list: data.faqs,
+    basePath: "faqs",
+    positions,
+    checkEntry: checkFaqEntry,
+    idField: "id",
+  });
+
+  return { data: { ...data, faqs: entries }, issues, positions };
+}
+
+/**
+ * Parse and validate siteMap.json text.
+ * Returns { data, issues }; `data` is null on a syntax error,
+ * otherwise it holds only the valid intents.
+ */
+export function validateSiteMapFile(text, file = "siteMap.json") {
+  let parsed;
+  try {
+    parsed = parseJsonWithPositions(text);
+  } catch (error) {
+    return { data: null, issues: [syntaxIssue(file, error)] };
+  }
+
+  const { data, positions } = parsed;
+  if (!Array.isArray(data)) {
+    return {
+      data: null,
+      issues: [
+        {
+          file,
+          path: "",
+          line: 1,
+          column: 1,
+          severity: "error",
+          message: "expected an array of intents",
+        },
+      ],
+    };
+  }
+
+  const { entries, issues } = checkEntries({
+    file,
+    list: data,
+    basePath: "",
+    positions,
+    checkEntry: checkSiteMapEntry,
+    idField: "intent",
+  });
+
+  return { data: entries, issues, positions };
+}
+
+function syntaxIssue(file, error) {
+  return {
+    file,
+    path: "",
+    line: error.line ?? null,
+    column: error.column ?? null,
+    severity: "error",
+    message: error.reason || error.message,
+  };
+}
+
+// ==== CONFLICTS ====
+
+/**
+ * Normalized single words / phrases of an entry with their JSON paths
+ */
+function keywordRefs(entry, entryPath) {
+  const refs = [];
+  const add = (keyword, path) => {
+    const normalized = normalizeText(keyword);
+    if (normalized) refs.push({ keyword, normalized, path });
+  };
+
+  if (Array.isArray(entry.keywords)) {
+    entry.keywords.forEach((k, i) => add(k, `${entryPath}.keywords[${i}]`));
+  } else {
+    for (const lang of SUPPORTED_LANGUAGES) {
+      (entry.keywords[lang] || []).forEach((k, i) =>
+        add(k, `${entryPath}.keywords.${lang}[${i}]`),
+      );
+    }
+  }
+
+  return refs;
+}
+
+function similarWords(a, b) {
+  if (a.includes(" ") || b.includes(" ")) return false;
+  const shorter = a.length < b.length ? a : b;
+  const longer = shorter === a ? b : a;
+  if (shorter.length >= MIN_STEM_LENGTH && longer.startsWith(shorter)) {
+    return true;
+  }
+  return wordSimilarity(a, b) >= SIMILAR_KEYWORD_THRESHOLD;
+}
+
+/**
+ * Keywords an FAQ entry shares with (or nearly shares with) a siteMap
+ * intent. Such queries can go either way between answering and navigating.
+ * Keywords listed in the entry's sharedKeywords are not reported.
+ */
+export function findKeywordConflicts(faqs, siteMap, file = "faq.json") {
+  const issues = [];
+
+  const navigationRefs = siteMap.flatMap((item, index) =>
+    keywordRefs(item, `[${index}]`).map((ref) => ({ ...ref, item })),
+  );
+  const describeRefs = (refs) =>
+    refs.map((nav) => `"${nav.keyword}" (${nav.item.intent})`).join(", ");
+
+  faqs.forEach((faq, index) => {
+    const intended = new Set(
+      (faq.sharedKeywords || []).map((k) => normalizeText(k)),
+    );
+
+    for (const ref of keywordRefs(faq, `faqs[${index}]`)) {
+      if (intended.has(ref.normalized)) continue;
+
+      const shared = navigationRefs.filter(
+        (nav) => nav.normalized === ref.normalized,
+      );
+      const similar = navigationRefs.filter(
+        (nav) =>
+          nav.normalized !== ref.normalized &&
+          similarWords(ref.normalized, nav.normalized),
+      );
+
+      if (shared.length > 0) {
+        issues.push({
+          file,
+          path: ref.path,
+          severity: "warning",
+          message: `"${ref.keyword}" (${faq.id}) is also a siteMap keyword: ${describeRefs(shared)}`,
+        });
+      }
+
+      if (similar.length > 0) {
+        issues.push({
+          file,
+          path: ref.path,
+          severity: "warning",
+          message: `"${ref.keyword}" (${faq.id}) is close to siteMap keywords ${describeRefs(similar)}`,
+        });
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate both data files together.
+ * Returns { faqData, siteMap, errors, warnings }, with only valid
+ * entries in faqData / siteMap (null when a file can't be parsed).
+ */
+export function validateKnowledgeBase({
+  faqText,
+  siteMapText,
+  faqFile = "faq.json",
+  siteMapFile = "siteMap.json",
+}) {
+  const faq = validateFaqFile(faqText, faqFile);
+  const nav = validateSiteMapFile(siteMapText, siteMapFile);
+  const issues = [...faq.issues, ...nav.issues];
+
+  if (faq.data && nav.data) {
+    const conflicts = findKeywordConflicts(faq.data.faqs, nav.data, faqFile);
+    issues.push(
+      ...conflicts.map((issue) => ({
+        ...issue,
+        ...positionOf(faq.positions, issue.path),
+      })),
+    );
+  }
+
+  return {
+    faqData: faq.data,
+    siteMap: nav.data,
+    errors: issues.filter((issue) => issue.severity === "error"),
+    warnings: issues.filter((issue) => issue.severity === "warning"),
+  };
+}
+
+/**
+ * One-line description of an issue: "faq.json:12:9 faqs[1].id ..."
+ */
+export function formatValidationIssue(issue) {
+  const location = issue.line
+    ? `${issue.file}:${issue.line}:${issue.column}`
+    : issue.file;
+  return `${location} ${issue.path ? `${issue.path}: ` : ""}${issue.message}`;
+}
@@ -0,0 +1,41 @@
+// services/db/index.js - Embedded SQLite database (request log, ...)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import Database from "better-sqlite3";
+import { migrate } from "./migrations.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATABASE_FILE =
+  process.env.DATABASE_FILE || path.join(__dirname, "../../logs/assistant.db");
+
+let db = null;
+
+/**
+ * Shared connection, opened and migrated on first use
+ */
+export function getDb() {
+  if (db) return db;
+
+  fs.mkdirSync(path.dirname(DATABASE_FILE), { recursive: true });
+
+  db = new Database(DATABASE_FILE);
+  // Readers don't block the writer; wait instead of failing when another
+  // process (e.g. the import script) holds the lock
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.pragma("foreign_keys = ON");
+
+  migrate(db);
+  return db;
+}
+
+/**
+ * Close the connection (scripts call this before exiting)
+ */
+export function closeDb() {
+  db?.close();
+  db = null;
+}
@@ -0,0 +1,261 @@
+// services/db/migrations.js - Schema changes, applied in order
+//
+// Each migration runs once, in a transaction; the last applied version
+// is kept in PRAGMA user_version. Never edit a released migration, add
+// a new one instead.
+import { logger } from "../logger.js";
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "request log",
+    up: `
+      CREATE TABLE requests (
+        id TEXT PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        date TEXT,
+        time TEXT,
+        query TEXT NOT NULL,
+        model TEXT,
+        response_type TEXT,
+        tokens INTEGER,
+        ip TEXT,
+        user_agent TEXT,
+        session_id TEXT,
+        language TEXT,
+        processing_time_ms INTEGER,
+        error TEXT
+      );
+
+      CREATE INDEX idx_requests_timestamp ON requests (timestamp);
+      CREATE INDEX idx_requests_type ON requests (response_type, timestamp);
+      CREATE INDEX idx_requests_model ON requests (model, timestamp);
+      CREATE INDEX idx_requests_ip ON requests (ip, timestamp);
+    `,
+  },
+  {
+    version: 2,
+    name: "answers and full-text search",
+    // Rebuilt with an INTEGER PRIMARY KEY: the search index refers to
+    // rows by rowid, which VACUUM may renumber otherwise
+    up: `
+      CREATE TABLE requests_v2 (
+        seq INTEGER PRIMARY KEY,
+        id TEXT NOT NULL UNIQUE,
+        timestamp TEXT NOT NULL,
+        date TEXT,
+        time TEXT,
+        query TEXT NOT NULL,
+        answer TEXT,
+        model TEXT,
+        response_type TEXT,
+        tokens INTEGER,
+        ip TEXT,
+        user_agent TEXT,
+        session_id TEXT,
+        language TEXT,
+        processing_time_ms INTEGER,
+        error TEXT
+      );
+      INSERT INTO requests_v2 (
+        id, timestamp, date, time, query, model, response_type, tokens,
+        ip, user_agent, session_id, language, processing_time_ms, error
+      )
+        SELECT
+          id, timestamp, date, time, query, model, response_type, tokens,
+          ip, user_agent, session_id, language, processing_time_ms, error
+        FROM requests
+        ORDER BY timestamp;
+      DROP TABLE requests;
+      ALTER TABLE requests_v2 RENAME TO requests;
+
+      CREATE INDEX idx_requests_timestamp ON requests (timestamp);
+      CREATE INDEX idx_requests_type ON requests (response_type, timestamp);
+      CREATE INDEX idx_requests_model ON requests (model, timestamp);
+      CREATE INDEX idx_requests_ip ON requests (ip, timestamp);
+      CREATE INDEX idx_requests_session ON requests (session_id, timestamp);
+
+      CREATE VIRTUAL TABLE requests_fts USING fts5(
+        query,
+        answer,
+        content = 'requests',
+        content_rowid = 'seq',
+        tokenize = 'unicode61 remove_diacritics 2'
+      );
+      INSERT INTO requests_fts (requests_fts) VALUES ('rebuild');
+
+      CREATE TRIGGER requests_fts_insert AFTER INSERT ON requests BEGIN
+        INSERT INTO requests_fts (rowid, query, answer)
+          VALUES (new.seq, new.query, new.answer);
+      END;
+      CREATE TRIGGER requests_fts_delete AFTER DELETE ON requests BEGIN
+        INSERT INTO requests_fts (requests_fts, rowid, query, answer)
+          VALUES ('delete', old.seq, old.query, old.answer);
+      END;
+      CREATE TRIGGER requests_fts_update AFTER UPDATE OF query, answer ON requests BEGIN
+        INSERT INTO requests_fts (requests_fts, rowid, query, answer)
+          VALUES ('delete', old.seq, old.query, old.answer);
+        INSERT INTO requests_fts (rowid, query, answer)
+          VALUES (new.seq, new.query, new.answer);
+      END;
+    `,
+  },
+  {
+    version: 3,
+    name: "answer feedback",
+    // intent: the FAQ id or siteMap intent an answer came from
+    up: `
+      ALTER TABLE requests ADD COLUMN intent TEXT;
+      CREATE INDEX idx_requests_intent ON requests (response_type, intent);
+
+      CREATE TABLE feedback (
+        request_id TEXT PRIMARY KEY
+          REFERENCES requests (id) ON DELETE CASCADE,
+        rating INTEGER NOT NULL CHECK (rating IN (-1, 1)),
+        comment TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE INDEX idx_feedback_rating ON feedback (rating, updated_at);
+    `,
+  },
+  {
+    version: 4,
+    name: "query routing",
+    // matched_by: "keyword" or "ai", how a query found its answer
+    up: `
+      ALTER TABLE requests ADD COLUMN matched_by TEXT;
+      CREATE INDEX idx_requests_matched_by ON requests (matched_by, timestamp);
+    `,
+  },
+  {
+    version: 5,
+    name: "auth audit log",
+    // Was logs/auth-audit.json, rewritten whole on every event
+    up: `
+      CREATE TABLE auth_events (
+        id INTEGER PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        event TEXT NOT NULL,
+        username TEXT,
+        role TEXT,
+        reason TEXT,
+        method TEXT,
+        path TEXT,
+        ip TEXT,
+        user_agent TEXT
+      );
+      CREATE INDEX idx_auth_events_timestamp ON auth_events (timestamp);
+      CREATE INDEX idx_auth_events_event ON auth_events (event, timestamp);
+      CREATE INDEX idx_auth_events_ip ON auth_events (ip);
+    `,
+  },
+  {
+    version: 6,
+    name: "chat replies",
+    // /chat used to log its general chat replies as NOT_FOUND; only
+    // answers without the LLM (keyword-only mode) were really unanswered
+    up: `
+      UPDATE requests SET response_type = 'CHAT'
+      WHERE response_type = 'NOT_FOUND'
+        AND answer IS NOT NULL
+        AND model != 'keyword-match';
+    `,
+  },
+  {
+    version: 7,
+    name: "llm spend",
+    // Was logs/llm-spend.json, rewritten on every LLM call.
+    // period: a UTC day ("2026-10-19") or month ("2026-10")
+    up: `
+      CREATE TABLE llm_spend (
+        period TEXT NOT NULL,
+        model TEXT NOT NULL,
+        tokens INTEGER NOT NULL DEFAULT 0,
+        usd REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (period, model)
+      );
+    `,
+  },
+  {
+    version: 8,
+    name: "chat sessions",
+    // Were kept in memory, lost on restart and not shared between
+    // processes. turns: JSON array of { role, content, result }
+    up: `
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        turns TEXT NOT NULL DEFAULT '[]',
+        language TEXT,
+        created_at INTEGER NOT NULL,
+        last_activity INTEGER NOT NULL
+      );
+      CREATE INDEX idx_sessions_last_activity ON sessions (last_activity);
+    `,
+  },
+  {
+    version: 9,
+    name: "session turns",
+    // One row per message, appended in a single statement, instead of
+    // rewriting the whole turns JSON. Existing sessions held unredacted
+    // text and only live for SESSION_TTL_MINUTES: they are dropped.
+    up: `
+      DELETE FROM sessions;
+      ALTER TABLE sessions DROP COLUMN turns;
+
+      CREATE TABLE session_turns (
+        id INTEGER PRIMARY KEY,
+        session_id TEXT NOT NULL
+          REFERENCES sessions (id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        result TEXT
+      );
+      CREATE INDEX idx_session_turns_session ON session_turns (session_id, id);
+    `,
+  },
+  {
+    version: 10,
+    name: "content history",
+    // Was logs/content-history.json, rewritten on every edit.
+    // before / after: the entry as JSON (null on create / delete)
+    up: `
+      CREATE TABLE content_changes (
+        id INTEGER PRIMARY KEY,
+        timestamp TEXT NOT NULL,
+        collection TEXT NOT NULL,
+        action TEXT NOT NULL,
+        entry_id TEXT NOT NULL,
+        actor_username TEXT,
+        actor_ip TEXT,
+        actor_user_agent TEXT,
+        before TEXT,
+        after TEXT
+      );
+      CREATE INDEX idx_content_changes_entry
+        ON content_changes (collection, entry_id);
+    `,
+  },
+];
+
+/**
+ * Bring the database up to the latest version.
+ * Returns the migrations that were applied.
+ */
+export function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  const pending = MIGRATIONS.filter((m) => m.version > current);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    logger.info("Migrated database", {
+      version: migration.version,
+      name: migration.name,
+    });
+  }
+
+  return pending;
+}
@@ -0,0 +1,25 @@
+// services/export/csv.js - CSV lines for spreadsheet exports
+
+// Excel only reads the file as UTF-8 (Uzbek / Russian text) with a BOM
+export const CSV_BOM = "\uFEFF";
+
+/**
+ * One CSV cell. Text starting with = + - @ is prefixed with ' so a
+ * logged query can't run as a formula when the file is opened.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A row of values → CSV line (CRLF terminated)
+ */
+export function csvLine(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
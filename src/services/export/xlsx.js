@@ -0,0 +1,271 @@
+// services/export/xlsx.js - Streamed XLSX (Office Open XML) workbooks
+//
+// An .xlsx file is a ZIP of XML parts. Sheets are written row by row into
+// a deflate stream, so large exports never sit in memory; ZIP data
+// descriptors carry the sizes and checksums after each part.
+import zlib from "zlib";
+import { once } from "events";
+
+const MAX_CELL_LENGTH = 32767;
+
+// ==== ZIP ====
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Bit 3: sizes follow the data, bit 11: UTF-8 names
+const ZIP_FLAGS = 0x0808;
+const DEFLATE = 8;
+
+/**
+ * Minimal streaming ZIP writer (no ZIP64: parts must stay under 4 GB)
+ */
+function createZipWriter(output) {
+  const entries = [];
+  const stamp = dosDateTime(new Date());
+  let offset = 0;
+
+  const write = async (buffer) => {
+    if (output.destroyed) throw new Error("Export stream closed");
+    offset += buffer.length;
+    if (!output.write(buffer)) {
+      await Promise.race([once(output, "drain"), once(output, "close")]);
+    }
+  };
+
+  return {
+    /**
+     * Add a file; `chunks` is an (async) iterable of strings / Buffers
+     */
+    async addEntry(name, chunks) {
+      const fileName = Buffer.from(name);
+      const entry = { fileName, offset, crc: 0, size: 0, compressedSize: 0 };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(ZIP_FLAGS, 6);
+      header.writeUInt16LE(DEFLATE, 8);
+      header.writeUInt16LE(stamp.time, 10);
+      header.writeUInt16LE(stamp.date, 12);
+      header.writeUInt16LE(fileName.length, 26);
+      await write(Buffer.concat([header, fileName]));
+
+      const deflate = zlib.createDeflateRaw();
+      const pump = (async () => {
+        for await (const data of deflate) {
+          entry.compressedSize += data.length;
+          await write(data);
+        }
+      })();
+
+      try {
+        for await (const chunk of chunks) {
+          const data = Buffer.from(chunk);
+          entry.crc = crc32(data, entry.crc);
+          entry.size += data.length;
+          if (!deflate.write(data)) await once(deflate, "drain");
+        }
+        deflate.end();
+        await pump;
+      } catch (error) {
+        deflate.destroy();
+        throw error;
+      }
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+
+      entries.push(entry);
+    },
+
+    /**
+     * Write the central directory
+     */
+    async finish() {
+      const start = offset;
+
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(ZIP_FLAGS, 8);
+        record.writeUInt16LE(DEFLATE, 10);
+        record.writeUInt16LE(stamp.time, 12);
+        record.writeUInt16LE(stamp.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.fileName.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        await write(Buffer.concat([record, entry.fileName]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+    },
+  };
+}
+
+// ==== SPREADSHEET XML ====
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+function escapeXml(text) {
+  return (
+    String(text)
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+  );
+}
+
+function cellXml(value, style = 0) {
+  const s = style ? ` s="${style}"` : "";
+  if (value === null || value === undefined || value === "") return `<c${s}/>`;
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c${s}><v>${value}</v></c>`;
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c${s} t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * Worksheet XML: bold, frozen header row, then the rows in ~64 KB chunks
+ */
+async function* sheetXml({ columns, rows }) {
+  yield XML_HEADER +
+    `<worksheet xmlns="${MAIN_NS}"><sheetViews><sheetView workbookViewId="0">` +
+    `<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>` +
+    `</sheetView></sheetViews><sheetData>` +
+    `<row>${columns.map((c) => cellXml(c, 1)).join("")}</row>`;
+
+  let chunk = "";
+  for await (const row of rows) {
+    chunk += `<row>${row.map((v) => cellXml(v)).join("")}</row>`;
+    if (chunk.length > 65536) {
+      yield chunk;
+      chunk = "";
+    }
+  }
+
+  yield `${chunk}</sheetData></worksheet>`;
+}
+
+const STYLES_XML =
+  XML_HEADER +
+  `<styleSheet xmlns="${MAIN_NS}">` +
+  `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>` +
+  `<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+  `<fills count="2"><fill><patternFill patternType="none"/></fill>` +
+  `<fill><patternFill patternType="gray125"/></fill></fills>` +
+  `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+  `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+  `<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+  `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>` +
+  `</styleSheet>`;
+
+/**
+ * Write a workbook to `output` (a writable stream, e.g. the response).
+ * sheets: [{ name, columns: [header, ...], rows: (async) iterable of arrays }]
+ */
+export async function writeXlsx(output, sheets) {
+  const zip = createZipWriter(output);
+  const names = sheets.map((sheet) =>
+    escapeXml(sheet.name.replace(/[\\/?*[\]:]/g, " ").slice(0, 31)),
+  );
+
+  await zip.addEntry("[Content_Types].xml", [
+    XML_HEADER +
+      `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+      `<Default Extension="xml" ContentType="application/xml"/>` +
+      `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+      `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+      sheets
+        .map(
+          (_, i) =>
+            `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+        )
+        .join("") +
+      `</Types>`,
+  ]);
+
+  await zip.addEntry("_rels/.rels", [
+    XML_HEADER +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      `</Relationships>`,
+  ]);
+
+  await zip.addEntry("xl/workbook.xml", [
+    XML_HEADER +
+      `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+      names
+        .map(
+          (name, i) =>
+            `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`,
+        )
+        .join("") +
+      `</sheets></workbook>`,
+  ]);
+
+  await zip.addEntry("xl/_rels/workbook.xml.rels", [
+    XML_HEADER +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      sheets
+        .map(
+          (_, i) =>
+            `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`,
+        )
+        .join("") +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+      `</Relationships>`,
+  ]);
+
+  await zip.addEntry("xl/styles.xml", [STYLES_XML]);
+
+  for (const [i, sheet] of sheets.entries()) {
+    await zip.addEntry(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(sheet));
+  }
+
+  await zip.finish();
+}
@@ -0,0 +1,142 @@
+// services/feedback.js - Thumbs up/down on answers, stored next to the request log
+import { getDb } from "./db/index.js";
+import { RATINGS } from "./requestLog.js";
+import { redactText } from "./privacy.js";
+
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * Invalid feedback (bad rating, unknown request), with an HTTP status
+ */
+export class FeedbackError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FeedbackError";
+    this.status = status;
+  }
+}
+
+/**
+ * Rate an answer. Rating again replaces the earlier vote and comment.
+ * rating: "up" | "down"; returns the stored feedback
+ */
+export function saveFeedback({ requestId, rating, comment }) {
+  if (typeof requestId !== "string" || !requestId.trim()) {
+    throw new FeedbackError("requestId kerak");
+  }
+  if (!Object.hasOwn(RATINGS, rating)) {
+    throw new FeedbackError('Baho "up" yoki "down" bo\'lishi kerak');
+  }
+  if (
+    comment !== undefined &&
+    comment !== null &&
+    typeof comment !== "string"
+  ) {
+    throw new FeedbackError("Izoh matn bo'lishi kerak");
+  }
+  const text = comment?.trim() || null;
+  if (text && text.length > MAX_COMMENT_LENGTH) {
+    throw new FeedbackError(
+      `Izoh juda uzun (maksimal ${MAX_COMMENT_LENGTH} belgi)`,
+    );
+  }
+
+  const db = getDb();
+  const request = db
+    .prepare("SELECT id FROM requests WHERE id = ?")
+    .get(requestId.trim());
+  if (!request) {
+    throw new FeedbackError("So'rov topilmadi", 404);
+  }
+
+  const now = new Date().toISOString();
+  db.prepare(
+    `INSERT INTO feedback (request_id, rating, comment, created_at, updated_at)
+     VALUES (@requestId, @rating, @comment, @now, @now)
+     ON CONFLICT (request_id) DO UPDATE SET
+       rating = excluded.rating,
+       comment = excluded.comment,
+       updated_at = excluded.updated_at`,
+  ).run({
+    requestId: request.id,
+    rating: RATINGS[rating],
+    comment: redactText(text),
+    now,
+  });
+
+  return {
+    requestId: request.id,
+    rating,
+    comment: redactText(text),
+    updatedAt: now,
+  };
+}
+
+/**
+ * Answers grouped by what they came from (FAQ id / navigation intent /
+ * "CHAT"), worst first: most down votes relative to all votes.
+ * Options: from, to (rated answers asked in that range), minVotes, limit.
+ * Returns [{ type, intent, up, down, votes, downShare, lastComment }]
+ */
+export function getWorstRated({ from, to, minVotes = 1, limit = 50 } = {}) {
+  const params = { minVotes, limit };
+  if (from) params.from = new Date(from).toISOString();
+  if (to) params.to = new Date(to).toISOString();
+  // Date range on the requests table under `alias`
+  const range = (alias) =>
+    [
+      from && `${alias}.timestamp >= @from`,
+      to && `${alias}.timestamp <= @to`,
+    ].filter(Boolean);
+  const conditions = range("r");
+
+  return getDb()
+    .prepare(
+      `SELECT
+         r.response_type AS type,
+         r.intent AS intent,
+         SUM(f.rating > 0) AS up,
+         SUM(f.rating < 0) AS down,
+         COUNT(*) AS votes,
+         ROUND(1.0 * SUM(f.rating < 0) / COUNT(*), 3) AS downShare,
+         (SELECT f2.comment
+            FROM feedback f2 JOIN requests r2 ON r2.id = f2.request_id
+            WHERE f2.rating < 0 AND f2.comment IS NOT NULL
+              AND r2.response_type IS r.response_type
+              AND r2.intent IS r.intent
+              ${range("r2")
+                .map((c) => `AND ${c}`)
+                .join(" ")}
+            ORDER BY f2.updated_at DESC LIMIT 1) AS lastComment
+       FROM feedback f
+       JOIN requests r ON r.id = f.request_id
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       GROUP BY r.response_type, r.intent
+       HAVING votes >= @minVotes AND down > 0
+       ORDER BY downShare DESC, down DESC, votes DESC
+       LIMIT @limit`,
+    )
+    .all(params);
+}
+
+/**
+ * Vote counts over all rated answers: { up, down, votes, helpfulShare }
+ */
+export function getFeedbackSummary() {
+  const { up, down } = getDb()
+    .prepare(
+      `SELECT
+         COALESCE(SUM(rating > 0), 0) AS up,
+         COALESCE(SUM(rating < 0), 0) AS down
+       FROM feedback`,
+    )
+    .get();
+  const votes = up + down;
+
+  return {
+    up,
+    down,
+    votes,
+    helpfulShare: votes ? Math.round((up / votes) * 1000) / 1000 : null,
+  };
+}
@@ -0,0 +1,69 @@
+// services/fuzzyMatch.js - Typo-tolerant word similarity (edit distance + trigrams)
+
+// Words shorter than this are only matched exactly ("it", "uy", "kim")
+const MIN_FUZZY_WORD_LENGTH = 4;
+
+/**
+ * Levenshtein edit distance
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+
+  return prev[b.length];
+}
+
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient over character trigrams (0..1)
+ */
+export function trigramSimilarity(a, b) {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  const remaining = [...gramsB];
+  let shared = 0;
+
+  for (const gram of gramsA) {
+    const index = remaining.indexOf(gram);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+
+  return (2 * shared) / (gramsA.length + gramsB.length);
+}
+
+/**
+ * Similarity of two normalized words (0..1).
+ * The better of edit-distance ratio and trigram overlap.
+ */
+export function wordSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < MIN_FUZZY_WORD_LENGTH || b.length < MIN_FUZZY_WORD_LENGTH) {
+    return 0;
+  }
+
+  const editRatio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  return Math.max(editRatio, trigramSimilarity(a, b));
+}
@@ -0,0 +1,484 @@
+// services/knowledgeBase.js - FAQ + siteMap data and their retrieval indexes
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { buildIndex } from "./retrievalIndex.js";
+import { allKeywords, SUPPORTED_LANGUAGES } from "./language.js";
+import { normalizeText } from "./textNormalizer.js";
+import {
+  validateFaqEntry,
+  validateSiteMapEntry,
+  validateKnowledgeBase,
+  formatValidationIssue,
+} from "./dataValidator.js";
+import { getDb } from "./db/index.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, "../data");
+const FAQ_FILE = "faq.json";
+const SITEMAP_FILE = "siteMap.json";
+
+// Where the change history was kept before the database
+const LEGACY_HISTORY_LOG = path.join(__dirname, "../logs/content-history.json");
+
+// Words that carry no meaning for matching (Uzbek suffix-words,
+// question words, Russian / English function words)
+export const COMMON_STOP_WORDS = [
+  "uchun",
+  "bilan",
+  "dan",
+  "ga",
+  "ni",
+  "ning",
+  "lar",
+  "chi",
+  "кто",
+  "что",
+  "как",
+  "где",
+  "когда",
+  "это",
+  "для",
+  "есть",
+  "the",
+  "what",
+  "who",
+  "where",
+  "when",
+  "how",
+  "are",
+  "can",
+  "you",
+];
+
+const FAQ_STOP_WORDS = [...COMMON_STOP_WORDS, "nima", "qanday", "bormi"];
+const NAVIGATION_STOP_WORDS = COMMON_STOP_WORDS;
+
+let faqData = { faqs: [] };
+let siteMap = [];
+let faqIndex = buildIndex([]);
+let navigationIndex = buildIndex([]);
+
+// File contents as written, including entries that failed validation
+// (edits are applied to these so nothing is silently dropped)
+let faqSource = { faqs: [] };
+let siteMapSource = [];
+
+function buildIndexes() {
+  faqIndex = buildIndex(
+    faqData.faqs.map((faq) => ({
+      id: faq.id,
+      keywords: allKeywords(faq),
+      data: faq,
+    })),
+    { stopWords: FAQ_STOP_WORDS },
+  );
+
+  navigationIndex = buildIndex(
+    siteMap.map((item) => ({
+      id: item.intent,
+      keywords: allKeywords(item),
+      data: item,
+    })),
+    { stopWords: NAVIGATION_STOP_WORDS },
+  );
+
+  logger.info("Knowledge base indexed", {
+    faqs: faqIndex.size,
+    sections: navigationIndex.size,
+  });
+}
+
+/**
+ * (Re)load faq.json and siteMap.json, validate them and rebuild the indexes.
+ * Invalid entries are skipped; a file that can't be read or parsed keeps
+ * its previous data.
+ */
+export function loadKnowledgeBase() {
+  try {
+    const faqText = fs.readFileSync(path.join(DATA_DIR, FAQ_FILE), "utf-8");
+    const siteMapText = fs.readFileSync(
+      path.join(DATA_DIR, SITEMAP_FILE),
+      "utf-8",
+    );
+
+    const result = validateKnowledgeBase({ faqText, siteMapText });
+
+    for (const issue of result.errors) {
+      logger.error("Invalid knowledge base data", {
+        issue: formatValidationIssue(issue),
+      });
+    }
+    if (result.warnings.length > 0) {
+      logger.warn(
+        'Knowledge base data warnings, run "npm run validate:data" for details',
+        { count: result.warnings.length },
+      );
+    }
+
+    if (result.faqData) {
+      faqData = result.faqData;
+      faqSource = JSON.parse(faqText);
+    }
+    if (result.siteMap) {
+      siteMap = result.siteMap;
+      siteMapSource = JSON.parse(siteMapText);
+    }
+
+    buildIndexes();
+    return result.errors.length === 0;
+  } catch (error) {
+    logger.error("Error loading knowledge base", { error });
+    return false;
+  }
+}
+
+export function getFaqs() {
+  return faqData.faqs;
+}
+
+export function getSiteMap() {
+  return siteMap;
+}
+
+export function getFaq(id) {
+  return faqSource.faqs.find((faq) => faq.id === id) || null;
+}
+
+export function getSiteMapEntry(intent) {
+  return siteMapSource.find((item) => item.intent === intent) || null;
+}
+
+/**
+ * Ranked FAQ matches for a query
+ */
+export function searchFaqs(query, options) {
+  return faqIndex.search(query, options);
+}
+
+/**
+ * Ranked siteMap intents for a query
+ */
+export function searchSiteMap(query, options) {
+  return navigationIndex.search(query, options);
+}
+
+// ==== Editing ====
+
+/**
+ * Error for rejected edits; `status` is the HTTP status to answer with
+ */
+export class KnowledgeBaseError extends Error {
+  constructor(message, status = 400, details = []) {
+    super(message);
+    this.name = "KnowledgeBaseError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Write a data file atomically: temp file in the same directory + rename,
+ * so readers (and the file watcher) never see a half-written file
+ */
+function writeJsonAtomic(file, data) {
+  const target = path.join(DATA_DIR, file);
+  const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+  try {
+    fs.writeFileSync(temp, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(temp, target);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+const INSERT_CHANGE = `
+  INSERT INTO content_changes (
+    timestamp, collection, action, entry_id, actor_username, actor_ip,
+    actor_user_agent, before, after
+  ) VALUES (
+    @timestamp, @collection, @action, @entry_id, @actor_username, @actor_ip,
+    @actor_user_agent, @before, @after
+  )
+`;
+
+function toChangeRow(change) {
+  // Early history entries only have the username
+  const actor =
+    typeof change.actor === "string"
+      ? { username: change.actor }
+      : change.actor || {};
+
+  return {
+    timestamp: change.timestamp || new Date().toISOString(),
+    collection: change.collection,
+    action: change.action,
+    entry_id: change.id,
+    actor_username: actor.username ?? null,
+    actor_ip: actor.ip ?? null,
+    actor_user_agent: actor.userAgent ?? null,
+    before: change.before ? JSON.stringify(change.before) : null,
+    after: change.after ? JSON.stringify(change.after) : null,
+  };
+}
+
+function fromChangeRow(row) {
+  return {
+    timestamp: row.timestamp,
+    collection: row.collection,
+    action: row.action,
+    id: row.entry_id,
+    actor: {
+      username: row.actor_username,
+      ip: row.actor_ip,
+      userAgent: row.actor_user_agent,
+    },
+    before: row.before ? JSON.parse(row.before) : null,
+    after: row.after ? JSON.parse(row.after) : null,
+  };
+}
+
+/**
+ * Bring changes from logs/content-history.json into the database, once
+ */
+function importLegacyHistory() {
+  if (!fs.existsSync(LEGACY_HISTORY_LOG)) return;
+
+  try {
+    const { changes = [] } = JSON.parse(
+      fs.readFileSync(LEGACY_HISTORY_LOG, "utf-8"),
+    );
+    const db = getDb();
+    const insert = db.prepare(INSERT_CHANGE);
+    db.transaction(() => changes.forEach((c) => insert.run(toChangeRow(c))))();
+
+    fs.renameSync(LEGACY_HISTORY_LOG, `${LEGACY_HISTORY_LOG}.migrated`);
+    logger.info("Imported content history", { changes: changes.length });
+  } catch (error) {
+    logger.error("Error importing content history", { error });
+  }
+}
+
+/**
+ * Write a data file and record the change in one transaction: when the
+ * file can't be written the change isn't recorded, and when it can't be
+ * recorded the file isn't touched
+ */
+function writeWithHistory(file, data, change) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(INSERT_CHANGE).run(toChangeRow(change));
+    writeJsonAtomic(file, data);
+  }).immediate();
+}
+
+/**
+ * Content change history, most recent first
+ */
+export function getChangeHistory({ limit = 50, collection, id } = {}) {
+  try {
+    return getDb()
+      .prepare(
+        `SELECT * FROM content_changes
+         WHERE (@collection IS NULL OR collection = @collection)
+           AND (@id IS NULL OR entry_id = @id)
+         ORDER BY id DESC
+         LIMIT @limit`,
+      )
+      .all({ limit, collection: collection || null, id: id || null })
+      .map(fromChangeRow);
+  } catch (error) {
+    logger.error("Error reading content history", { error });
+    return [];
+  }
+}
+
+function assertValid(errors) {
+  if (errors.length > 0) {
+    throw new KnowledgeBaseError("Invalid entry", 400, errors);
+  }
+}
+
+/**
+ * Persist new FAQ data and reload it (validated, indexes rebuilt)
+ */
+function commitFaqs(faqs, change) {
+  writeWithHistory(
+    FAQ_FILE,
+    { ...faqSource, faqs },
+    { collection: "faq", ...change },
+  );
+  loadKnowledgeBase();
+}
+
+/**
+ * Persist a new siteMap and reload it (validated, indexes rebuilt)
+ */
+function commitSiteMap(items, change) {
+  writeWithHistory(SITEMAP_FILE, items, { collection: "siteMap", ...change });
+  loadKnowledgeBase();
+}
+
+export function createFaq(entry, actor) {
+  assertValid(validateFaqEntry(entry));
+  if (getFaq(entry.id)) {
+    throw new KnowledgeBaseError(`FAQ "${entry.id}" already exists`, 409);
+  }
+
+  commitFaqs([...faqSource.faqs, entry], {
+    action: "create",
+    id: entry.id,
+    actor,
+    before: null,
+    after: entry,
+  });
+  return entry;
+}
+
+export function updateFaq(id, entry, actor) {
+  const before = getFaq(id);
+  if (!before) throw new KnowledgeBaseError(`FAQ "${id}" not found`, 404);
+
+  const next = { ...entry, id };
+  assertValid(validateFaqEntry(next));
+
+  commitFaqs(
+    faqSource.faqs.map((faq) => (faq.id === id ? next : faq)),
+    { action: "update", id, actor, before, after: next },
+  );
+  return next;
+}
+
+export function deleteFaq(id, actor) {
+  const before = getFaq(id);
+  if (!before) throw new KnowledgeBaseError(`FAQ "${id}" not found`, 404);
+
+  commitFaqs(
+    faqSource.faqs.filter((faq) => faq.id !== id),
+    { action: "delete", id, actor, before, after: null },
+  );
+  return before;
+}
+
+function assertUniqueUrl(url, intent) {
+  const clash = siteMapSource.find(
+    (item) => item.url === url && item.intent !== intent,
+  );
+  if (clash) {
+    throw new KnowledgeBaseError(
+      `URL "${url}" is already used by "${clash.intent}"`,
+      409,
+    );
+  }
+}
+
+export function createSiteMapEntry(entry, actor) {
+  assertValid(validateSiteMapEntry(entry));
+  if (getSiteMapEntry(entry.intent)) {
+    throw new KnowledgeBaseError(
+      `Intent "${entry.intent}" already exists`,
+      409,
+    );
+  }
+  assertUniqueUrl(entry.url, entry.intent);
+
+  commitSiteMap([...siteMapSource, entry], {
+    action: "create",
+    id: entry.intent,
+    actor,
+    before: null,
+    after: entry,
+  });
+  return entry;
+}
+
+export function updateSiteMapEntry(intent, entry, actor) {
+  const before = getSiteMapEntry(intent);
+  if (!before)
+    throw new KnowledgeBaseError(`Intent "${intent}" not found`, 404);
+
+  const next = { ...entry, intent };
+  assertValid(validateSiteMapEntry(next));
+  assertUniqueUrl(next.url, intent);
+
+  commitSiteMap(
+    siteMapSource.map((item) => (item.intent === intent ? next : item)),
+    { action: "update", id: intent, actor, before, after: next },
+  );
+  return next;
+}
+
+/**
+ * Add one keyword to a siteMap intent (e.g. an accepted suggestion from
+ * the unanswered-query report). 409 when the intent already has it.
+ */
+export function addSiteMapKeyword(intent, language, keyword, actor) {
+  const before = getSiteMapEntry(intent);
+  if (!before)
+    throw new KnowledgeBaseError(`Intent "${intent}" not found`, 404);
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    throw new KnowledgeBaseError(
+      `Language must be one of: ${SUPPORTED_LANGUAGES.join(", ")}`,
+    );
+  }
+
+  const phrase = typeof keyword === "string" ? keyword.trim() : "";
+  if (!normalizeText(phrase)) {
+    throw new KnowledgeBaseError("Keyword is required");
+  }
+  const known = allKeywords(before).map(normalizeText);
+  if (known.includes(normalizeText(phrase))) {
+    throw new KnowledgeBaseError(
+      `Intent "${intent}" already has the keyword "${phrase}"`,
+      409,
+    );
+  }
+
+  // Older entries keep a flat keyword list
+  const keywords = Array.isArray(before.keywords)
+    ? [...before.keywords, phrase]
+    : {
+        ...before.keywords,
+        [language]: [...(before.keywords[language] || []), phrase],
+      };
+
+  return updateSiteMapEntry(intent, { ...before, keywords }, actor);
+}
+
+export function deleteSiteMapEntry(intent, actor) {
+  const before = getSiteMapEntry(intent);
+  if (!before)
+    throw new KnowledgeBaseError(`Intent "${intent}" not found`, 404);
+
+  commitSiteMap(
+    siteMapSource.filter((item) => item.intent !== intent),
+    { action: "delete", id: intent, actor, before, after: null },
+  );
+  return before;
+}
+
+// Initialize
+loadKnowledgeBase();
+importLegacyHistory();
+
+// Rebuild when the data files change on disk (debounced, editors
+// often write a file in several steps)
+let reloadTimer = null;
+try {
+  fs.watch(DATA_DIR, (_, filename) => {
+    if (filename !== FAQ_FILE && filename !== SITEMAP_FILE) return;
+
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      logger.info("Data file changed, reloading knowledge base", { filename });
+      loadKnowledgeBase();
+    }, 300);
+  }).unref();
+} catch (error) {
+  logger.error("Error watching data directory", { error });
+}
@@ -0,0 +1,156 @@
+// services/language.js - Language detection and localized content helpers
+
+export const SUPPORTED_LANGUAGES = ["uz", "ru", "en"];
+export const DEFAULT_LANGUAGE = "uz";
+
+// Letters that only exist in Uzbek Cyrillic
+const UZBEK_CYRILLIC_LETTERS = /[ўқғҳ]/i;
+const CYRILLIC_LETTERS = /[Ѐ-ӿ]/;
+
+// Frequent short words, used to tell languages apart
+const MARKER_WORDS = {
+  uz: [
+    // Latin
+    "va",
+    "kim",
+    "nima",
+    "qanday",
+    "qayerda",
+    "qachon",
+    "qancha",
+    "uchun",
+    "bilan",
+    "bormi",
+    "kerak",
+    "salom",
+    "rahmat",
+    "menga",
+    "haqida",
+    "qiladi",
+    "boshqaruv",
+    "bolim",
+    // Cyrillic
+    "ва",
+    "ким",
+    "нима",
+    "қандай",
+    "қаерда",
+    "қачон",
+    "учун",
+    "билан",
+    "борми",
+    "керак",
+    "салом",
+    "раҳмат",
+    "ҳақида",
+  ],
+  ru: [
+    "и",
+    "в",
+    "на",
+    "не",
+    "что",
+    "кто",
+    "как",
+    "где",
+    "когда",
+    "это",
+    "мне",
+    "можно",
+    "есть",
+    "для",
+    "какой",
+    "какие",
+    "ли",
+    "здравствуйте",
+    "привет",
+    "спасибо",
+    "пожалуйста",
+    "компании",
+  ],
+  en: [
+    "the",
+    "a",
+    "an",
+    "is",
+    "are",
+    "what",
+    "who",
+    "where",
+    "when",
+    "how",
+    "can",
+    "i",
+    "you",
+    "your",
+    "me",
+    "do",
+    "does",
+    "of",
+    "to",
+    "for",
+    "hello",
+    "hi",
+    "thanks",
+    "please",
+    "company",
+  ],
+};
+
+/**
+ * Detect the language of a query: "uz", "ru" or "en".
+ * Returns `fallback` when the text gives no clear signal
+ * (e.g. a single name or a number).
+ */
+export function detectLanguage(text, fallback = DEFAULT_LANGUAGE) {
+  const lower = String(text || "").toLowerCase();
+
+  if (UZBEK_CYRILLIC_LETTERS.test(lower)) return "uz";
+
+  const words = lower.match(/[\p{L}'‘’ʻ`]+/gu) || [];
+  const count = (lang) =>
+    words.filter((word) => MARKER_WORDS[lang].includes(word)).length;
+
+  if (CYRILLIC_LETTERS.test(lower)) {
+    // Cyrillic without Uzbek-only letters is Russian unless Uzbek words win
+    return count("uz") > count("ru") ? "uz" : "ru";
+  }
+
+  // o‘ / g‘ and "q" are strong hints for Uzbek Latin
+  const uzScore =
+    count("uz") +
+    (/[og]['‘’ʻ`]/.test(lower) ? 2 : 0) +
+    (/q/.test(lower) ? 1 : 0);
+  const enScore = count("en");
+
+  if (enScore > uzScore) return "en";
+  if (uzScore > 0) return "uz";
+
+  return SUPPORTED_LANGUAGES.includes(fallback) ? fallback : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Pick the language explicitly requested by the client,
+ * otherwise detect it from the query.
+ */
+export function resolveLanguage(requested, query, fallback) {
+  if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+  return detectLanguage(query, fallback);
+}
+
+/**
+ * Get a localized value: { uz, ru, en } → string.
+ * Plain strings are returned as is; missing translations fall back to Uzbek.
+ */
+export function localize(value, language = DEFAULT_LANGUAGE) {
+  if (!value || typeof value === "string") return value;
+  return value[language] || value[DEFAULT_LANGUAGE];
+}
+
+/**
+ * All keywords of a FAQ entry / siteMap intent, in every language
+ */
+export function allKeywords(entry) {
+  if (Array.isArray(entry.keywords)) return entry.keywords;
+  return SUPPORTED_LANGUAGES.flatMap((lang) => entry.keywords[lang] || []);
+}
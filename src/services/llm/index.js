@@ -0,0 +1,106 @@
+// services/llm/index.js - LLM provider registry and per-task configuration
+//
+// A provider is { name, complete(request, { signal }), stream(request, { signal }) }
+//   request:   { model, messages, temperature, maxTokens }
+//   complete → { text, model, usage: { promptTokens, completionTokens, totalTokens } }
+//   stream   → async iterable of { delta } text chunks and a final { usage }
+// and throws LlmError on failure.
+import { createOpenAIProvider } from "./openaiProvider.js";
+import { createMockProvider } from "./mockProvider.js";
+import { LlmError } from "./llmError.js";
+
+export { LlmError };
+
+export const LLM_TASKS = ["navigation", "chat", "general"];
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || "openai";
+const DEFAULT_MODEL = process.env.LLM_MODEL || "gpt-4o-mini";
+const MOCK_MODEL = "mock";
+const TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+
+// Provider factories by name
+const PROVIDER_FACTORIES = {
+  openai: () =>
+    createOpenAIProvider({
+      name: "openai",
+      apiKey: process.env.OPENAI_API_KEY,
+      timeout: TIMEOUT_MS,
+    }),
+
+  // Self-hosted models (Ollama, vLLM, LM Studio, ...) behind an
+  // OpenAI-style /v1 API. Local servers usually ignore the key.
+  "openai-compatible": () => {
+    if (!process.env.LLM_BASE_URL) {
+      throw new LlmError("LLM_BASE_URL is not set", {
+        provider: "openai-compatible",
+        code: "config",
+      });
+    }
+    return createOpenAIProvider({
+      name: "openai-compatible",
+      apiKey: process.env.LLM_API_KEY || "not-needed",
+      baseURL: process.env.LLM_BASE_URL,
+      timeout: TIMEOUT_MS,
+    });
+  },
+
+  mock: () => createMockProvider(),
+};
+
+/**
+ * Provider + model per task, e.g.
+ * LLM_CHAT_PROVIDER=openai-compatible LLM_CHAT_MODEL=llama3.1
+ */
+const TASK_CONFIG = Object.fromEntries(
+  LLM_TASKS.map((task) => {
+    const prefix = `LLM_${task.toUpperCase()}`;
+    const provider = process.env[`${prefix}_PROVIDER`] || DEFAULT_PROVIDER;
+    const model =
+      process.env[`${prefix}_MODEL`] ||
+      (provider === "mock" ? MOCK_MODEL : DEFAULT_MODEL);
+
+    return [task, { provider, model }];
+  }),
+);
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+      throw new LlmError(`Unknown LLM provider "${name}"`, {
+        provider: name,
+        code: "config",
+      });
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Provider name and model used for a task
+ */
+export function getTaskConfig(task) {
+  const config = TASK_CONFIG[task];
+  if (!config) throw new Error(`Unknown LLM task "${task}"`);
+  return config;
+}
+
+/**
+ * Run a chat completion for a task.
+ * request: { messages, temperature, maxTokens }
+ */
+export async function complete(task, request, options) {
+  const { provider, model } = getTaskConfig(task);
+  return getProvider(provider).complete({ ...request, model }, options);
+}
+
+/**
+ * Stream a chat completion for a task (see provider contract above)
+ */
+export function stream(task, request, options) {
+  const { provider, model } = getTaskConfig(task);
+  return getProvider(provider).stream({ ...request, model }, options);
+}
@@ -0,0 +1,27 @@
+// services/llm/llmError.js - Provider-independent LLM error
+
+/**
+ * Error raised by every LLM provider.
+ * code: "auth" | "rate_limit" | "timeout" | "unavailable" | "bad_request"
+ *       | "aborted" | "config" | "unknown"
+ * retryable: whether the same request may succeed later
+ */
+export class LlmError extends Error {
+  constructor(
+    message,
+    {
+      provider,
+      code = "unknown",
+      status = null,
+      retryable = false,
+      cause,
+    } = {},
+  ) {
+    super(message, { cause });
+    this.name = "LlmError";
+    this.provider = provider;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
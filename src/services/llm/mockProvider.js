@@ -0,0 +1,63 @@
+// services/llm/mockProvider.js - Deterministic offline provider for tests and local runs
+import { LlmError } from "./llmError.js";
+
+const countTokens = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * Default reply: echoes the last user message, so the same input
+ * always gives the same output
+ */
+function defaultRespond({ messages }) {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  const text = String(last?.content || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return `[mock] ${text.slice(0, 200)}`;
+}
+
+/**
+ * Provider that never calls the network.
+ * `respond(request)` may be passed to script the replies.
+ */
+export function createMockProvider({ respond = defaultRespond } = {}) {
+  const reply = (request) => {
+    const text = String(respond(request) ?? "");
+    const promptTokens = request.messages.reduce(
+      (sum, m) => sum + countTokens(String(m.content || "")),
+      0,
+    );
+    const completionTokens = countTokens(text);
+
+    return {
+      text,
+      model: request.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  };
+
+  return {
+    name: "mock",
+
+    async complete(request) {
+      return reply(request);
+    },
+
+    async *stream(request, { signal } = {}) {
+      const { text, usage } = reply(request);
+      for (const piece of text.match(/\S+\s*/g) || []) {
+        if (signal?.aborted) {
+          throw new LlmError("Request aborted", {
+            provider: "mock",
+            code: "aborted",
+          });
+        }
+        yield { delta: piece };
+      }
+      yield { usage };
+    },
+  };
+}
@@ -0,0 +1,158 @@
+// services/llm/openaiProvider.js - OpenAI and OpenAI-compatible chat APIs
+import OpenAI from "openai";
+import { LlmError } from "./llmError.js";
+import { getRequestId } from "../logger.js";
+
+/**
+ * Map an OpenAI SDK error to an LlmError
+ */
+function toLlmError(error, provider) {
+  if (error instanceof LlmError) return error;
+
+  const options = { provider, status: error.status ?? null, cause: error };
+
+  if (error instanceof OpenAI.APIUserAbortError) {
+    return new LlmError("Request aborted", { ...options, code: "aborted" });
+  }
+  if (error instanceof OpenAI.APIConnectionTimeoutError) {
+    return new LlmError(error.message, {
+      ...options,
+      code: "timeout",
+      retryable: true,
+    });
+  }
+  if (error instanceof OpenAI.APIConnectionError) {
+    return new LlmError(error.message, {
+      ...options,
+      code: "unavailable",
+      retryable: true,
+    });
+  }
+
+  const status = error.status;
+  if (status === 401 || status === 403) {
+    return new LlmError(error.message, { ...options, code: "auth" });
+  }
+  if (status === 429) {
+    return new LlmError(error.message, {
+      ...options,
+      code: "rate_limit",
+      retryable: true,
+    });
+  }
+  if (status >= 500) {
+    return new LlmError(error.message, {
+      ...options,
+      code: "unavailable",
+      retryable: true,
+    });
+  }
+  if (status >= 400) {
+    return new LlmError(error.message, { ...options, code: "bad_request" });
+  }
+
+  return new LlmError(error.message, options);
+}
+
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0,
+  };
+}
+
+/**
+ * Provider for the OpenAI API, or any server speaking the same protocol
+ * when `baseURL` is given (Ollama, vLLM, LM Studio, ...)
+ */
+export function createOpenAIProvider({
+  name = "openai",
+  apiKey,
+  baseURL,
+  timeout,
+} = {}) {
+  let client = null;
+
+  // Created on first use, so a missing key only matters if the provider is used
+  const getClient = () => {
+    if (!client) {
+      try {
+        client = new OpenAI({ apiKey, baseURL, timeout });
+      } catch (error) {
+        throw new LlmError(error.message, {
+          provider: name,
+          code: "config",
+          cause: error,
+        });
+      }
+    }
+    return client;
+  };
+
+  const toParams = ({ model, messages, temperature, maxTokens }) => ({
+    model,
+    messages,
+    temperature,
+    max_tokens: maxTokens,
+  });
+
+  // Pass the request id on, so provider-side logs can be matched up
+  const requestOptions = (signal) => {
+    const requestId = getRequestId();
+    return {
+      signal,
+      ...(requestId && { headers: { "X-Request-Id": requestId } }),
+    };
+  };
+
+  return {
+    name,
+
+    async complete(request, { signal } = {}) {
+      try {
+        const response = await getClient().chat.completions.create(
+          toParams(request),
+          requestOptions(signal),
+        );
+
+        return {
+          text: response.choices[0]?.message?.content?.trim() || "",
+          model: request.model,
+          usage: toUsage(response.usage),
+        };
+      } catch (error) {
+        throw toLlmError(error, name);
+      }
+    },
+
+    async *stream(request, { signal } = {}) {
+      try {
+        const stream = await getClient().chat.completions.create(
+          {
+            ...toParams(request),
+            stream: true,
+            stream_options: { include_usage: true },
+          },
+          requestOptions(signal),
+        );
+
+        for await (const chunk of stream) {
+          const delta = chunk.choices[0]?.delta?.content;
+          if (delta) yield { delta };
+          if (chunk.usage) yield { usage: toUsage(chunk.usage) };
+        }
+      } catch (error) {
+        throw toLlmError(error, name);
+      }
+
+      // The SDK ends the iteration quietly when aborted
+      if (signal?.aborted) {
+        throw new LlmError("Request aborted", {
+          provider: name,
+          code: "aborted",
+        });
+      }
+    },
+  };
+}
@@ -0,0 +1,105 @@
+// services/logger.js - Leveled structured logger, one JSON object per line
+//
+// Lines written while handling a request carry its id (see
+// middleware/requestId.js): the id is kept in AsyncLocalStorage, so
+// detection, AI calls and the request log all see it without passing
+// it around.
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_LEVEL: debug | info | warn | error; LOG_FORMAT=pretty for local runs
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === "pretty";
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `fields` ({ requestId, ... }) added to every line it logs
+ */
+export function runWithContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Id of the request being handled, if any
+ */
+export function getRequestId() {
+  return context.getStore()?.requestId;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    stack: error.stack,
+  };
+}
+
+function serialize(fields) {
+  return Object.fromEntries(
+    Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [
+        key,
+        value instanceof Error ? serializeError(value) : value,
+      ]),
+  );
+}
+
+/**
+ * "12:00:01 INFO  [1712-abc] Message key=value"
+ */
+function formatPretty({ time, level, msg, requestId, ...fields }) {
+  const extra = Object.entries(fields)
+    .filter(([key, value]) => key !== "error" || typeof value !== "object")
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+
+  const line = [
+    time.slice(11, 19),
+    level.toUpperCase().padEnd(5),
+    requestId && `[${requestId}]`,
+    msg,
+    ...extra,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+  return fields.error?.stack ? `${line}\n${fields.error.stack}` : line;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...serialize(context.getStore() || {}),
+    ...serialize(fields),
+  };
+
+  let line;
+  try {
+    line = PRETTY ? formatPretty(entry) : JSON.stringify(entry);
+  } catch {
+    // Circular or BigInt fields: keep the message
+    line = JSON.stringify({ time: entry.time, level, msg });
+  }
+
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(`${line}\n`);
+}
+
+/**
+ * logger.info("Message", { key: value }); an Error under `error` is
+ * written with its stack
+ */
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
@@ -0,0 +1,200 @@
+// services/metrics.js - In-process counters, gauges and histograms in the
+// Prometheus text format (served by routes/metrics.js)
+
+const metrics = [];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+/**
+ * Label values in a fixed order; missing ones become ""
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? "")));
+}
+
+function labelsOf(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+/**
+ * Monotonic counter: counter.inc(labels, amount = 1)
+ */
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    lines() {
+      return [...values].map(
+        ([key, value]) =>
+          `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`,
+      );
+    },
+  });
+}
+
+/**
+ * Value read when scraped: collect() → number or [{ labels, value }]
+ */
+export function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    lines() {
+      const result = collect();
+      const samples =
+        typeof result === "number" ? [{ labels: {}, value: result }] : result;
+      return samples.map(
+        ({ labels, value }) => `${name}${formatLabels(labels)} ${value}`,
+      );
+    },
+  });
+}
+
+/**
+ * Histogram with cumulative buckets: histogram.observe(labels, value)
+ */
+export function histogram(name, help, labelNames = [], buckets) {
+  const series = new Map();
+
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+
+      const s = series.get(key);
+      buckets.forEach((le, i) => {
+        if (value <= le) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+    },
+    lines() {
+      return [...series].flatMap(([key, s]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...buckets.map(
+            (le, i) =>
+              `${name}_bucket${formatLabels({ ...labels, le })} ${s.counts[i]}`,
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${s.count}`,
+          `${name}_sum${formatLabels(labels)} ${s.sum}`,
+          `${name}_count${formatLabels(labels)} ${s.count}`,
+        ];
+      });
+    },
+  });
+}
+
+/**
+ * Everything registered, in the text exposition format (version 0.0.4)
+ */
+export function renderMetrics() {
+  return (
+    metrics
+      .map((metric) =>
+        [
+          `# HELP ${metric.name} ${metric.help}`,
+          `# TYPE ${metric.name} ${metric.type}`,
+          ...metric.lines(),
+        ].join("\n"),
+      )
+      .join("\n") + "\n"
+  );
+}
+
+// ==== Assistant metrics ====
+
+// Seconds
+const LATENCY_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+export const httpRequests = counter(
+  "assistant_http_requests_total",
+  "HTTP requests by route, method and status code",
+  ["route", "method", "status"],
+);
+
+export const httpDuration = histogram(
+  "assistant_http_request_duration_seconds",
+  "HTTP response time by route",
+  ["route"],
+  LATENCY_BUCKETS,
+);
+
+export const answers = counter(
+  "assistant_answers_total",
+  "Answered queries by response type and model",
+  ["type", "model"],
+);
+
+export const answerDuration = histogram(
+  "assistant_answer_duration_seconds",
+  "Time to answer a query by response type",
+  ["type"],
+  LATENCY_BUCKETS,
+);
+
+export const matches = counter(
+  "assistant_matches_total",
+  "How queries were matched: faq, navigation, clarify (keywords), ai_fallback, not_found",
+  ["source"],
+);
+
+export const llmTokens = counter(
+  "assistant_llm_tokens_total",
+  "LLM tokens used by model and kind (prompt, completion)",
+  ["model", "kind"],
+);
+
+export const rateLimitRejections = counter(
+  "assistant_rate_limit_rejections_total",
+  "Requests refused with 429 by rate limit policy",
+  ["policy"],
+);
+
+export const errors = counter(
+  "assistant_errors_total",
+  "Queries that ended with an error, by response type",
+  ["type"],
+);
+
+gauge(
+  "process_start_time_seconds",
+  "Start time of the process since the Unix epoch",
+  () => Math.round(Date.now() / 1000 - process.uptime()),
+);
+
+gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size",
+  () => process.memoryUsage().rss,
+);
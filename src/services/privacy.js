@@ -0,0 +1,143 @@
+// services/privacy.js - Personal data in logs: redaction and IP anonymization
+//
+// Citizens type phone numbers, passport numbers and PINFLs into their
+// questions. These are replaced in what users write (queries, feedback
+// comments) before it is stored or written to the log, and IPs are
+// truncated or hashed (LOG_IP_MODE). Answers are kept as they are: they
+// carry the company's own public numbers.
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+// Uzbek mobile operator codes
+const OPERATOR_CODES = "20|33|50|55|77|88|90|91|93|94|95|97|98|99";
+
+// Applied in this order: a PINFL would otherwise look like a phone number
+const PATTERNS = {
+  email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+  // Personal identification number (JShShIR): 14 digits
+  pinfl: /\b\d{14}\b/g,
+  // Passport and ID card series + number: AA1234567, AD 1234567
+  passport: /\b[A-Z]{2}\s?\d{7}\b/gi,
+  // +998 90 123 45 67, 998901234567, (90) 123-45-67, 901234567
+  phone: new RegExp(
+    `(?<![\\d+])(?:\\+?998[\\s-]?)?\\(?(?:${OPERATOR_CODES})\\)?[\\s-]?\\d{3}[\\s-]?\\d{2}[\\s-]?\\d{2}(?!\\d)`,
+    "g",
+  ),
+};
+
+/**
+ * LOG_REDACT: comma separated kinds to replace (default: all), or "off"
+ */
+function parseRedactKinds(value) {
+  if (!value) return Object.keys(PATTERNS);
+  if (value.trim() === "off") return [];
+
+  const kinds = value.split(",").map((kind) => kind.trim());
+  for (const kind of kinds.filter((k) => !PATTERNS[k])) {
+    logger.error("Unknown LOG_REDACT kind", {
+      kind,
+      expected: Object.keys(PATTERNS).join(", "),
+    });
+  }
+  return Object.keys(PATTERNS).filter((kind) => kinds.includes(kind));
+}
+
+const REDACT_KINDS = parseRedactKinds(process.env.LOG_REDACT);
+
+// LOG_IP_MODE: truncate (default) | hash | full
+const IP_MODES = ["truncate", "hash", "full"];
+export const IP_MODE = IP_MODES.includes(process.env.LOG_IP_MODE)
+  ? process.env.LOG_IP_MODE
+  : "truncate";
+
+if (process.env.LOG_IP_MODE && process.env.LOG_IP_MODE !== IP_MODE) {
+  logger.error("Unknown LOG_IP_MODE, truncating IPs", {
+    value: process.env.LOG_IP_MODE,
+    expected: IP_MODES.join(", "),
+  });
+}
+
+// Hashes (hashed IPs, rate limit keys) only match across restarts with
+// a fixed key
+const IP_SALT =
+  process.env.LOG_IP_SALT || process.env.AUTH_SECRET || crypto.randomBytes(32);
+if (!process.env.LOG_IP_SALT && !process.env.AUTH_SECRET) {
+  logger.warn(
+    "Neither LOG_IP_SALT nor AUTH_SECRET is set, hashed IPs and rate limits will change after a restart",
+  );
+}
+
+/**
+ * Keyed hash of an identifier (IP, username): the same value always
+ * gives the same 16 hex characters, but it can't be reversed without the key
+ */
+export function pseudonymize(value) {
+  return crypto
+    .createHmac("sha256", IP_SALT)
+    .update(String(value))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Text with phone numbers, emails, passport numbers and PINFLs replaced
+ * by "[phone]", "[email]", ...
+ */
+export function redactText(text) {
+  if (typeof text !== "string" || !text) return text;
+
+  return REDACT_KINDS.reduce(
+    (result, kind) => result.replace(PATTERNS[kind], `[${kind}]`),
+    text,
+  );
+}
+
+/**
+ * The 8 groups of an IPv6 address
+ */
+function ipv6Groups(ip) {
+  const [head, tail] = ip.split("::");
+  const start = head ? head.split(":") : [];
+  if (tail === undefined) return start;
+
+  const end = tail ? tail.split(":") : [];
+  return [...start, ...Array(8 - start.length - end.length).fill("0"), ...end];
+}
+
+/**
+ * IP as stored: IPv4 without the last byte (1.2.3.0), IPv6 cut to its
+ * /48 network, or a keyed hash ("ip-3f2a...")
+ */
+export function anonymizeIp(ip) {
+  if (!ip || IP_MODE === "full") return ip;
+
+  // IPv4 clients on a dual-stack socket: "::ffff:1.2.3.4"
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+
+  if (IP_MODE === "hash") return `ip-${pseudonymize(address)}`;
+
+  if (address.includes(".")) {
+    return address.replace(/\.\d+$/, ".0");
+  }
+  return `${ipv6Groups(address.split("%")[0]).slice(0, 3).join(":")}::`;
+}
+
+/**
+ * Request log entry with its personal data removed
+ */
+export function protectEntry(entry) {
+  return {
+    ...entry,
+    query: redactText(entry.query),
+    ip: anonymizeIp(entry.ip),
+  };
+}
+
+/**
+ * Forms an IP may have been seen in: as given, and as on a dual-stack
+ * socket ("::ffff:1.2.3.4")
+ */
+export function ipForms(ip) {
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+  return address.includes(".") ? [address, `::ffff:${address}`] : [address];
+}
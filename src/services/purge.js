@@ -0,0 +1,41 @@
+// services/purge.js - Delete everything logged for one chat session or IP
+import { IP_MODE, anonymizeIp, ipForms } from "./privacy.js";
+import { deleteRequestsFor } from "./requestLog.js";
+import { deleteAuthEventsFrom } from "./auditLog.js";
+import { deleteSession } from "./sessionStore.js";
+
+/**
+ * Purge that can't be done (e.g. by IP while IPs are truncated), with an
+ * HTTP status
+ */
+export class PurgeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PurgeError";
+    this.status = status;
+  }
+}
+
+/**
+ * Delete request log entries with their feedback, auth events and the
+ * conversation of a session or an IP. Truncated IPs (LOG_IP_MODE=truncate)
+ * are shared by a whole network, so purging by IP needs hash or full mode.
+ * Returns what was deleted, per log.
+ */
+export function purgeRecords({ sessionId, ip }) {
+  if (ip && IP_MODE === "truncate") {
+    throw new PurgeError(
+      "IPs are stored truncated (LOG_IP_MODE=truncate): a purge by IP would delete other people's records too. Purge by sessionId, or switch to LOG_IP_MODE=hash.",
+    );
+  }
+
+  const ips = ip ? [...new Set(ipForms(ip).map(anonymizeIp))] : [];
+  const { requests, feedback } = deleteRequestsFor({ sessionId, ips });
+
+  return {
+    requests,
+    feedback,
+    authEvents: deleteAuthEventsFrom(ips),
+    sessions: sessionId && deleteSession(sessionId) ? 1 : 0,
+  };
+}
@@ -0,0 +1,258 @@
+// services/queryMining.js - Group the queries the keywords missed and suggest new keywords
+//
+// Unanswered (NOT_FOUND) and AI-routed queries show where faq.json and
+// siteMap.json lack keywords. Similar wordings are grouped; when the AI
+// keeps routing a group to the same intent, its wording is suggested as
+// a keyword for that intent.
+import { findUnmatchedQueries } from "./requestLog.js";
+import { getSiteMapEntry, COMMON_STOP_WORDS } from "./knowledgeBase.js";
+import { allKeywords, localize } from "./language.js";
+import { normalizeText, tokenize } from "./textNormalizer.js";
+import { wordSimilarity } from "./fuzzyMatch.js";
+import { logger } from "./logger.js";
+
+// Look back this many days; re-run every QUERY_MINING_INTERVAL_HOURS
+const MINING_DAYS = parseInt(process.env.QUERY_MINING_DAYS) || 30;
+const MINING_INTERVAL_HOURS =
+  parseFloat(process.env.QUERY_MINING_INTERVAL_HOURS) || 6;
+const MAX_QUERIES = 20000;
+// Bounds on the grouping work: words kept per query, and groups a
+// wording is compared with (the biggest ones, they are created first)
+const MAX_QUERY_WORDS = 8;
+const MAX_COMPARED_GROUPS = 20;
+
+// Two wordings are grouped when this share of their words match
+const GROUP_SIMILARITY = 0.6;
+const WORD_SIMILARITY = 0.8;
+// Share of a group's AI answers that must agree on the intent
+const SUGGESTION_AGREEMENT = 0.6;
+// Longer wordings are suggested as their main words only
+const MAX_KEYWORD_WORDS = 5;
+
+const STOP_WORDS = new Set(COMMON_STOP_WORDS.map(normalizeText));
+
+let report = null;
+
+// What redactText left in the stored queries: "[phone]", "[email]", ...
+const PLACEHOLDER = /\[[a-z]+\]/g;
+
+/**
+ * Distinct meaningful words of a query (normalized), the first
+ * MAX_QUERY_WORDS of them
+ */
+function contentWords(query) {
+  return [
+    ...new Set(
+      tokenize(query.replace(PLACEHOLDER, " ")).filter(
+        (w) => w.length > 1 && !STOP_WORDS.has(w),
+      ),
+    ),
+  ].slice(0, MAX_QUERY_WORDS);
+}
+
+/**
+ * Fuzzy Jaccard similarity of two word lists (typos count as matches)
+ */
+function similarity(a, b) {
+  const matched = a.filter((word) =>
+    b.some((other) => wordSimilarity(word, other) >= WORD_SIMILARITY),
+  ).length;
+  return matched / (a.length + b.length - matched);
+}
+
+/**
+ * Group log rows by wording: identical word sets first, then similar ones,
+ * most frequent first so the common wording leads its group
+ */
+function groupQueries(rows) {
+  const byWords = new Map();
+  for (const row of rows) {
+    const words = contentWords(row.query);
+    if (words.length === 0) continue;
+
+    const key = [...words].sort().join(" ");
+    if (!byWords.has(key)) byWords.set(key, { words, rows: [] });
+    byWords.get(key).rows.push(row);
+  }
+
+  const groups = [];
+  // Only groups sharing a word start are compared, the first
+  // MAX_COMPARED_GROUPS per word start
+  const byPrefix = new Map();
+  const prefixes = (words) => new Set(words.map((w) => w.slice(0, 3)));
+
+  const sorted = [...byWords.values()].sort(
+    (a, b) => b.rows.length - a.rows.length,
+  );
+  for (const entry of sorted) {
+    const candidates = [
+      ...new Set(
+        [...prefixes(entry.words)].flatMap((p) => byPrefix.get(p) || []),
+      ),
+    ]
+      .sort((a, b) => a.order - b.order)
+      .slice(0, MAX_COMPARED_GROUPS);
+    const group = candidates.find(
+      (g) => similarity(g.words, entry.words) >= GROUP_SIMILARITY,
+    );
+
+    if (group) {
+      group.rows.push(...entry.rows);
+      continue;
+    }
+
+    const created = {
+      words: entry.words,
+      rows: [...entry.rows],
+      order: groups.length,
+    };
+    groups.push(created);
+    for (const p of prefixes(entry.words)) {
+      if (!byPrefix.has(p)) byPrefix.set(p, []);
+      const list = byPrefix.get(p);
+      if (list.length < MAX_COMPARED_GROUPS) list.push(created);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Values of `key` with their counts, most frequent first
+ */
+function countBy(rows, key) {
+  const counts = new Map();
+  for (const row of rows) {
+    const value = key(row);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Query text as a keyword: lowercase, no punctuation, without the
+ * placeholders redaction left in it ("[phone]")
+ */
+function toKeyword(query) {
+  return query
+    .toLowerCase()
+    .replace(PLACEHOLDER, " ")
+    .replace(/[?!.,;:"«»()]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function isKnownKeyword(entry, keyword) {
+  return allKeywords(entry).map(normalizeText).includes(normalizeText(keyword));
+}
+
+/**
+ * Keyword suggestion for a group the AI routed to one intent, or null
+ */
+function suggestKeyword(group, routed) {
+  const [top] = countBy(routed, (r) => r.intent);
+  if (!top || top.count / routed.length < SUGGESTION_AGREEMENT) return null;
+
+  const entry = getSiteMapEntry(top.value);
+  if (!entry) return null;
+
+  const rows = routed.filter((r) => r.intent === top.value);
+  const [wording] = countBy(rows, (r) => toKeyword(r.query));
+  if (!wording) return null;
+  const keyword =
+    wording.value.split(" ").length <= MAX_KEYWORD_WORDS
+      ? wording.value
+      : group.words.slice(0, MAX_KEYWORD_WORDS).join(" ");
+  if (isKnownKeyword(entry, keyword)) return null;
+
+  const [language] = countBy(rows, (r) => r.language);
+
+  return {
+    intent: top.value,
+    title: localize(entry.title),
+    url: entry.url,
+    keyword,
+    language: language?.value || "uz",
+    support: top.count,
+  };
+}
+
+function summarize(group) {
+  const routed = group.rows.filter((r) => r.responseType === "NAVIGATION");
+
+  return {
+    count: group.rows.length,
+    unanswered: group.rows.filter((r) => r.responseType === "NOT_FOUND").length,
+    aiRouted: routed.length,
+    examples: countBy(group.rows, (r) => r.query.trim()).slice(0, 5),
+    intents: countBy(routed, (r) => r.intent),
+    lastSeen: group.rows.reduce(
+      (last, r) => (r.timestamp > last ? r.timestamp : last),
+      "",
+    ),
+    suggestion: suggestKeyword(group, routed),
+  };
+}
+
+/**
+ * Analyse the last `days` of the request log now.
+ * Returns { generatedAt, days, queries, groups }, biggest groups first.
+ */
+export function runQueryMining({ days = MINING_DAYS } = {}) {
+  const startTime = Date.now();
+  const rows = findUnmatchedQueries({
+    from: new Date(startTime - days * 24 * 60 * 60 * 1000),
+    limit: MAX_QUERIES,
+  });
+
+  const groups = groupQueries(rows)
+    .map(summarize)
+    .sort((a, b) => b.count - a.count);
+
+  report = {
+    generatedAt: new Date().toISOString(),
+    days,
+    queries: rows.length,
+    groups,
+  };
+
+  logger.info("Grouped unmatched queries", {
+    queries: rows.length,
+    groups: groups.length,
+    durationMs: Date.now() - startTime,
+  });
+  return report;
+}
+
+/**
+ * Latest analysis (run on first use). Suggestions accepted since then
+ * are left out.
+ */
+export function getQueryMiningReport() {
+  const current = report || runQueryMining();
+
+  return {
+    ...current,
+    groups: current.groups.map((group) => {
+      const { suggestion } = group;
+      const entry = suggestion && getSiteMapEntry(suggestion.intent);
+      return entry && !isKnownKeyword(entry, suggestion.keyword)
+        ? group
+        : { ...group, suggestion: null };
+    }),
+  };
+}
+
+// Refresh in the background
+setInterval(
+  () => {
+    try {
+      runQueryMining();
+    } catch (error) {
+      logger.error("Error mining queries", { error });
+    }
+  },
+  MINING_INTERVAL_HOURS * 60 * 60 * 1000,
+).unref();
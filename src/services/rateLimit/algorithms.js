@@ -0,0 +1,175 @@
+// services/rateLimit/algorithms.js - Sliding window and token bucket limiters
+//
+// A limiter works on a plain state object kept in a store:
+//   consume(state, now, cost, { force }) → { state, allowed, remaining, resetAt, retryAfterMs }
+//   peek(state, now)                     → { remaining, resetAt }
+// `force` charges the cost even past the limit (usage that already
+// happened); the client then waits until the debt has decayed.
+// `ttlMs` is how long a state is worth keeping after its last use.
+
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * "30s" / "15m" / "12h" / "1d" → milliseconds
+ */
+export function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*([smhd])$/.exec(String(text).trim());
+  if (!match) throw new Error(`Invalid duration "${text}"`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * Sliding window counter: the previous fixed window counts in proportion
+ * to how much of it still overlaps the sliding window. Smooths out the
+ * burst a fixed window allows at its edges, with O(1) state.
+ */
+export function slidingWindow({ limit, windowMs }) {
+  const roll = (state, now) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    if (!state || state.windowStart <= windowStart - 2 * windowMs) {
+      return { windowStart, current: 0, previous: 0 };
+    }
+    if (state.windowStart < windowStart) {
+      return { windowStart, current: 0, previous: state.current };
+    }
+    return { ...state };
+  };
+
+  const used = (state, now) => {
+    const overlap = 1 - (now - state.windowStart) / windowMs;
+    return state.previous * overlap + state.current;
+  };
+
+  // When `cost` more fits again
+  const availableAt = (state, now, cost) => {
+    const windowEnd = state.windowStart + windowMs;
+    const room = limit - cost - state.current;
+
+    if (room >= 0 && state.previous > 0) {
+      // previous * (1 - t / windowMs) + current <= limit - cost
+      return Math.min(
+        windowEnd,
+        state.windowStart + windowMs * (1 - room / state.previous),
+      );
+    }
+    // Current window alone is over: wait for it to roll and start decaying
+    return Math.max(now, windowEnd);
+  };
+
+  return {
+    algorithm: "sliding-window",
+    limit,
+    windowMs,
+    ttlMs: 2 * windowMs,
+
+    consume(previous, now, cost = 1, { force = false } = {}) {
+      const state = roll(previous, now);
+      const allowed = used(state, now) + cost <= limit;
+      if (allowed || force) state.current += cost;
+
+      return {
+        state,
+        allowed,
+        remaining: Math.max(0, Math.floor(limit - used(state, now))),
+        resetAt: allowed
+          ? state.windowStart + windowMs
+          : Math.ceil(availableAt(state, now, cost)),
+        retryAfterMs: allowed
+          ? 0
+          : Math.max(0, Math.ceil(availableAt(state, now, cost) - now)),
+      };
+    },
+
+    peek(previous, now) {
+      const state = roll(previous, now);
+      return {
+        remaining: Math.max(0, Math.floor(limit - used(state, now))),
+        resetAt: state.windowStart + windowMs,
+      };
+    },
+  };
+}
+
+/**
+ * Token bucket: holds up to `limit` tokens and refills all of them over
+ * `windowMs`. Allows short bursts, then a steady rate.
+ */
+export function tokenBucket({ limit, windowMs }) {
+  const ratePerMs = limit / windowMs;
+
+  const refill = (state, now) => {
+    if (!state) return { tokens: limit, updatedAt: now };
+    const tokens = Math.min(
+      limit,
+      state.tokens + (now - state.updatedAt) * ratePerMs,
+    );
+    return { tokens, updatedAt: now };
+  };
+
+  const fullAt = (state, now) =>
+    Math.ceil(now + (limit - state.tokens) / ratePerMs);
+
+  return {
+    algorithm: "token-bucket",
+    limit,
+    windowMs,
+    ttlMs: windowMs,
+
+    consume(previous, now, cost = 1, { force = false } = {}) {
+      const state = refill(previous, now);
+      const allowed = state.tokens >= cost;
+      if (allowed || force) state.tokens -= cost;
+
+      const retryAfterMs = allowed
+        ? 0
+        : Math.ceil((cost - state.tokens) / ratePerMs);
+
+      return {
+        state,
+        allowed,
+        remaining: Math.max(0, Math.floor(state.tokens)),
+        resetAt: allowed ? fullAt(state, now) : now + retryAfterMs,
+        retryAfterMs,
+      };
+    },
+
+    peek(previous, now) {
+      const state = refill(previous, now);
+      return {
+        remaining: Math.max(0, Math.floor(state.tokens)),
+        resetAt: fullAt(state, now),
+      };
+    },
+  };
+}
+
+const ALGORITHMS = {
+  sliding: slidingWindow,
+  bucket: tokenBucket,
+};
+
+/**
+ * Build a limiter from a spec like "sliding:30/12h" or "bucket:60/1h".
+ * "off" disables limiting (returns null).
+ */
+export function createLimiter(spec) {
+  if (!spec || spec === "off") return null;
+
+  const match = /^(\w+):(\d+)\/(.+)$/.exec(String(spec).trim());
+  if (!match || !ALGORITHMS[match[1]]) {
+    throw new Error(
+      `Invalid rate limit "${spec}", expected e.g. "sliding:30/12h" or "bucket:60/1h"`,
+    );
+  }
+
+  return ALGORITHMS[match[1]]({
+    limit: Number(match[2]),
+    windowMs: parseDuration(match[3]),
+  });
+}
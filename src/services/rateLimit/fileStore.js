@@ -0,0 +1,84 @@
+// services/rateLimit/fileStore.js - Memory store persisted to a JSON file
+import fs from "fs";
+import path from "path";
+import { createMemoryStore } from "./memoryStore.js";
+import { logger } from "../logger.js";
+
+/**
+ * Keeps state in memory and writes the file at most once per
+ * `flushIntervalMs` (atomically), so limits survive restarts without
+ * a disk write on every request.
+ */
+export function createFileStore({ file, flushIntervalMs = 5000 }) {
+  const entries = new Map();
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(data)) {
+        // Skip expired and old-format entries
+        if (entry && entry.expiresAt > now && entry.value) {
+          entries.set(key, entry);
+        }
+      }
+      logger.info("Rate limits loaded from file", { entries: entries.size });
+    }
+  } catch (error) {
+    logger.error("Error loading rate limits", { error });
+  }
+
+  let dirty = false;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    if (!dirty) return;
+    dirty = false;
+
+    const temp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(
+        temp,
+        JSON.stringify(Object.fromEntries(entries), null, 2),
+      );
+      fs.renameSync(temp, file);
+    } catch (error) {
+      logger.error("Error saving rate limits", { error });
+      fs.rmSync(temp, { force: true });
+    }
+  };
+
+  const scheduleFlush = () => {
+    dirty = true;
+    if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      timer.unref();
+    }
+  };
+
+  // Don't lose the last few seconds on a normal shutdown, or when the
+  // process is stopped (docker stop, Ctrl+C)
+  process.once("beforeExit", flush);
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      flush();
+      // The listener replaced the default handler: exit as it would have
+      process.kill(process.pid, signal);
+    });
+  }
+
+  const store = createMemoryStore({ entries, onChange: scheduleFlush });
+
+  return {
+    ...store,
+    name: "file",
+
+    async close() {
+      clearTimeout(timer);
+      flush();
+      await store.close();
+    },
+  };
+}
@@ -0,0 +1,79 @@
+// services/rateLimit/memoryStore.js - In-process rate limit state (single instance)
+//
+// Store contract, shared by all stores:
+//   get(key)                   → value | null
+//   update(key, fn, ttlMs)     → fn(current | null) is stored atomically, returns it
+//   delete(key)
+//   deletePrefix(prefix)       → number of keys deleted
+//   close()
+// Values are plain JSON objects; entries expire after ttlMs.
+import { logger } from "../logger.js";
+
+/**
+ * Memory store. `entries` can be passed in to start from saved state
+ * (the file store builds on this).
+ */
+export function createMemoryStore({ entries = new Map(), onChange } = {}) {
+  const isLive = (entry, now = Date.now()) => entry && entry.expiresAt > now;
+
+  // Drop expired entries every 10 minutes
+  const cleanup = setInterval(
+    () => {
+      const now = Date.now();
+      let cleaned = 0;
+
+      for (const [key, entry] of entries.entries()) {
+        if (!isLive(entry, now)) {
+          entries.delete(key);
+          cleaned++;
+        }
+      }
+
+      if (cleaned > 0) {
+        logger.info("Cleaned expired rate limit entries", { count: cleaned });
+        onChange?.();
+      }
+    },
+    10 * 60 * 1000,
+  );
+  cleanup.unref();
+
+  return {
+    name: "memory",
+    entries,
+
+    async get(key) {
+      const entry = entries.get(key);
+      return isLive(entry) ? entry.value : null;
+    },
+
+    async update(key, fn, ttlMs) {
+      const entry = entries.get(key);
+      const value = fn(isLive(entry) ? entry.value : null);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      onChange?.();
+      return value;
+    },
+
+    async delete(key) {
+      entries.delete(key);
+      onChange?.();
+    },
+
+    async deletePrefix(prefix) {
+      let deleted = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          deleted++;
+        }
+      }
+      if (deleted > 0) onChange?.();
+      return deleted;
+    },
+
+    async close() {
+      clearInterval(cleanup);
+    },
+  };
+}
@@ -0,0 +1,303 @@
+// services/rateLimit/redisStore.js - Shared rate limit state in Redis (or a RESP-compatible server)
+import net from "net";
+
+const MAX_UPDATE_RETRIES = 5;
+
+/**
+ * Reject when `promise` takes longer than `ms`
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from `buffer` at `offset`.
+ * Returns { value, offset } or null when more data is needed.
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf-8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return {
+        value: buffer.toString("utf-8", next, next + length),
+        offset: next + length + 2,
+      };
+    }
+    case "*": {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Minimal Redis client: one connection, commands pipelined in order.
+ * A command (with connecting) not answered within `timeoutMs` closes
+ * the connection and fails everything in flight.
+ */
+function createConnection(url, { timeoutMs }) {
+  const { hostname, port, password, username, pathname } = new URL(url);
+  const db = pathname && pathname.length > 1 ? pathname.slice(1) : null;
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failAll = (error) => {
+    while (pending.length) pending.shift().reject(error);
+  };
+
+  const send = (args) =>
+    new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.ref();
+      socket.write(encodeCommand(args));
+    });
+
+  const connect = () => {
+    const current = net.createConnection({
+      host: hostname || "127.0.0.1",
+      port: Number(port) || 6379,
+    });
+    socket = current;
+    current.setNoDelay(true);
+
+    current.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (;;) {
+        const reply = parseReply(buffer);
+        if (!reply) break;
+        buffer = buffer.subarray(reply.offset);
+
+        const request = pending.shift();
+        if (!request) continue;
+        if (reply.value instanceof Error) request.reject(reply.value);
+        else request.resolve(reply.value);
+      }
+
+      // An idle connection shouldn't keep the process alive
+      if (pending.length === 0) current.unref();
+    });
+
+    // Fail what's in flight; the next command reconnects
+    const reset = (error) => {
+      if (socket !== current) return;
+      failAll(error || new Error("Redis connection closed"));
+      socket = null;
+      ready = null;
+      buffer = Buffer.alloc(0);
+    };
+    current.on("error", reset);
+    current.on("close", () => reset());
+
+    ready = new Promise((resolve, reject) => {
+      current.once("connect", async () => {
+        try {
+          if (password) {
+            await send(
+              username
+                ? [
+                    "AUTH",
+                    decodeURIComponent(username),
+                    decodeURIComponent(password),
+                  ]
+                : ["AUTH", decodeURIComponent(password)],
+            );
+          }
+          if (db) await send(["SELECT", db]);
+          resolve();
+        } catch (error) {
+          reject(error);
+        }
+      });
+      current.once("error", reject);
+    });
+
+    return ready;
+  };
+
+  return {
+    async command(...args) {
+      if (!ready) connect();
+
+      // Replies come in order, so one that never arrives blocks all
+      // the others: drop the connection, the next command reconnects
+      const current = socket;
+      const timer = setTimeout(
+        () =>
+          current.destroy(
+            new Error(`Redis command timed out after ${timeoutMs} ms`),
+          ),
+        timeoutMs,
+      );
+      timer.unref();
+
+      try {
+        await ready;
+        return await send(args);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    close() {
+      socket?.end();
+    },
+  };
+}
+
+/**
+ * Redis store. Updates use WATCH/MULTI/EXEC so several app instances
+ * can share one Redis without losing increments. Every call settles
+ * within `timeoutMs`; the rate limiter lets the request through when
+ * it rejects.
+ */
+export function createRedisStore({
+  url,
+  prefix = "ratelimit:",
+  timeoutMs = 1000,
+}) {
+  const connection = createConnection(url, { timeoutMs });
+
+  // WATCH / MULTI are per connection: while an update transaction is
+  // open nothing else may be sent, so every call waits its turn. A
+  // caller gives up after timeoutMs, and a call whose caller has given
+  // up is skipped instead of holding up the queue behind it.
+  let queue = Promise.resolve();
+  const exclusive = (task) => {
+    const deadline = Date.now() + timeoutMs;
+    const run = () =>
+      Date.now() > deadline
+        ? Promise.reject(new Error("Redis store call timed out in the queue"))
+        : task();
+
+    const result = queue.then(run, run);
+    queue = result.catch(() => {});
+    return withTimeout(
+      result,
+      timeoutMs,
+      `Redis store call timed out after ${timeoutMs} ms`,
+    );
+  };
+
+  const parse = (raw) => (raw === null ? null : JSON.parse(raw));
+
+  return {
+    name: "redis",
+
+    get(key) {
+      return exclusive(async () =>
+        parse(await connection.command("GET", prefix + key)),
+      );
+    },
+
+    update(key, fn, ttlMs) {
+      return exclusive(async () => {
+        const fullKey = prefix + key;
+
+        for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+          await connection.command("WATCH", fullKey);
+
+          let value;
+          try {
+            value = fn(parse(await connection.command("GET", fullKey)));
+          } catch (error) {
+            await connection.command("UNWATCH");
+            throw error;
+          }
+
+          await connection.command("MULTI");
+          await connection.command(
+            "SET",
+            fullKey,
+            JSON.stringify(value),
+            "PX",
+            Math.max(1, Math.ceil(ttlMs)),
+          );
+          // null = another instance changed the key meanwhile, retry
+          if ((await connection.command("EXEC")) !== null) return value;
+        }
+
+        throw new Error(`Rate limit update for "${key}" kept conflicting`);
+      });
+    },
+
+    delete(key) {
+      return exclusive(() => connection.command("DEL", prefix + key));
+    },
+
+    deletePrefix(keyPrefix) {
+      // Glob characters in the prefix are matched literally
+      const pattern =
+        `${prefix}${keyPrefix}`.replace(/[*?[\]\\]/g, "\\$&") + "*";
+
+      return exclusive(async () => {
+        let cursor = "0";
+        let deleted = 0;
+        do {
+          const [next, keys] = await connection.command(
+            "SCAN",
+            cursor,
+            "MATCH",
+            pattern,
+            "COUNT",
+            "500",
+          );
+          if (keys.length > 0) {
+            deleted += await connection.command("DEL", ...keys);
+          }
+          cursor = next;
+        } while (cursor !== "0");
+        return deleted;
+      });
+    },
+
+    async close() {
+      connection.close();
+    },
+  };
+}
@@ -0,0 +1,615 @@
+// services/requestLog.js - Request log stored in SQLite (see services/db)
+import { getDb } from "./db/index.js";
+
+/**
+ * Bad list parameters (unknown sort, malformed cursor), answered with 400
+ */
+export class RequestQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RequestQueryError";
+    this.status = 400;
+  }
+}
+
+// Sort orders for findRequests; ties are broken by insertion order
+const SORTS = {
+  newest: { column: "timestamp", direction: "DESC" },
+  oldest: { column: "timestamp", direction: "ASC" },
+  slowest: { column: "COALESCE(processing_time_ms, -1)", direction: "DESC" },
+  tokens: { column: "COALESCE(tokens, 0)", direction: "DESC" },
+};
+
+export const REQUEST_SORTS = Object.keys(SORTS);
+
+// Feedback rating as stored in the feedback table
+export const RATINGS = { up: 1, down: -1 };
+
+/**
+ * Log entry (as built by logRequest) → table row
+ */
+function toRow(entry) {
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    date: entry.date ?? null,
+    time: entry.time ?? null,
+    query: entry.query ?? "",
+    answer: entry.answer ?? null,
+    intent: entry.intent ?? null,
+    matched_by: entry.matchedBy ?? null,
+    model: entry.model ?? null,
+    response_type: entry.responseType ?? null,
+    tokens: entry.tokens ?? null,
+    ip: entry.ip ?? null,
+    user_agent: entry.userAgent ?? null,
+    session_id: entry.sessionId ?? null,
+    language: entry.language ?? null,
+    // Imported logs only have the "123ms" string
+    processing_time_ms:
+      entry.processingTimeMs ?? (parseInt(entry.processingTime) || 0),
+    error: entry.error || null,
+  };
+}
+
+/**
+ * Table row → log entry, same shape logRequest returns
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    timestamp: row.timestamp,
+    date: row.date,
+    time: row.time,
+    query: row.query,
+    answer: row.answer,
+    intent: row.intent,
+    matchedBy: row.matched_by,
+    model: row.model,
+    responseType: row.response_type,
+    tokens: row.tokens,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    sessionId: row.session_id,
+    language: row.language,
+    processingTime: `${row.processing_time_ms}ms`,
+    error: row.error,
+    feedback:
+      row.rating === undefined || row.rating === null
+        ? null
+        : { rating: row.rating > 0 ? "up" : "down", comment: row.comment },
+  };
+}
+
+/**
+ * Add entries, skipping ids already stored. Returns how many were added.
+ */
+export function insertRequests(entries) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT OR IGNORE INTO requests (
+      id, timestamp, date, time, query, answer, intent, matched_by, model,
+      response_type, tokens, ip, user_agent, session_id, language,
+      processing_time_ms, error
+    ) VALUES (
+      @id, @timestamp, @date, @time, @query, @answer, @intent, @matched_by,
+      @model, @response_type, @tokens, @ip, @user_agent, @session_id,
+      @language, @processing_time_ms, @error
+    )
+  `);
+
+  return db.transaction((rows) => {
+    let added = 0;
+    for (const row of rows) added += insert.run(toRow(row)).changes;
+    return added;
+  })(entries);
+}
+
+export function insertRequest(entry) {
+  return insertRequests([entry]) === 1;
+}
+
+/**
+ * Free text → FTS5 query: every word must appear, as a word or a prefix
+ * ("hujjat" finds "hujjatlar"). Operators in the input are not interpreted.
+ */
+function toSearchQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((word) => `"${word}"*`).join(" ");
+}
+
+/**
+ * WHERE clause for the list / stats filters
+ */
+function buildWhere({
+  id,
+  from,
+  to,
+  model,
+  type,
+  intent,
+  ip,
+  sessionId,
+  search,
+  rating,
+} = {}) {
+  const conditions = [];
+  const params = {};
+
+  const searchQuery = search ? toSearchQuery(search) : "";
+  if (searchQuery) {
+    conditions.push(
+      "seq IN (SELECT rowid FROM requests_fts WHERE requests_fts MATCH @search)",
+    );
+    params.search = searchQuery;
+  }
+  if (id) {
+    conditions.push("id = @id");
+    params.id = id;
+  }
+  if (from) {
+    conditions.push("timestamp >= @from");
+    params.from = new Date(from).toISOString();
+  }
+  if (to) {
+    conditions.push("timestamp <= @to");
+    params.to = new Date(to).toISOString();
+  }
+  if (model) {
+    conditions.push("model = @model");
+    params.model = model;
+  }
+  if (type) {
+    conditions.push("response_type = @type");
+    params.type = type;
+  }
+  if (intent) {
+    conditions.push("intent = @intent");
+    params.intent = intent;
+  }
+  if (rating) {
+    if (!RATINGS[rating]) {
+      throw new RequestQueryError(
+        `Unknown rating "${rating}", expected up or down`,
+      );
+    }
+    conditions.push(
+      "id IN (SELECT request_id FROM feedback WHERE rating = @rating)",
+    );
+    params.rating = RATINGS[rating];
+  }
+  if (ip) {
+    conditions.push("ip = @ip");
+    params.ip = ip;
+  }
+  if (sessionId) {
+    conditions.push("session_id = @sessionId");
+    params.sessionId = sessionId;
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+function encodeCursor(value, seq) {
+  return Buffer.from(JSON.stringify([value, seq])).toString("base64url");
+}
+
+/**
+ * [sort value, seq] from a cursor. Sort values are always a string or a
+ * number (see SORTS), anything else was not made by encodeCursor.
+ */
+function decodeCursor(cursor) {
+  try {
+    const [value, seq] = JSON.parse(Buffer.from(cursor, "base64url"));
+    const validValue =
+      typeof value === "string" ||
+      (typeof value === "number" && Number.isFinite(value));
+    if (validValue && Number.isInteger(seq)) return { value, seq };
+  } catch {
+    // fall through
+  }
+  throw new RequestQueryError("Invalid cursor");
+}
+
+/**
+ * One page of filtered entries.
+ * Filters: from, to (dates), model, type, intent, ip, sessionId,
+ * search (free text), rating (up | down: answers with that feedback).
+ * sort: newest (default) | oldest | slowest | tokens.
+ * Pass the returned `nextCursor` back as `cursor` for the next page
+ * (null on the last one). Returns { total, requests, nextCursor };
+ * withTotal: false skips counting the matches (total is then null).
+ */
+export function findRequests({
+  limit = 50,
+  cursor,
+  sort = "newest",
+  withTotal = true,
+  ...filters
+} = {}) {
+  const order = SORTS[sort];
+  if (!order) {
+    throw new RequestQueryError(
+      `Unknown sort "${sort}", expected one of: ${REQUEST_SORTS.join(", ")}`,
+    );
+  }
+
+  const db = getDb();
+  const { where, params } = buildWhere(filters);
+
+  const total = withTotal
+    ? db.prepare(`SELECT COUNT(*) AS total FROM requests ${where}`).get(params)
+        .total
+    : null;
+
+  // Keyset pagination: continue after the last row of the previous page
+  const conditions = where ? [where.replace(/^WHERE /, "")] : [];
+  const pageParams = { ...params, limit: limit === Infinity ? -1 : limit + 1 };
+  if (cursor) {
+    const { value, seq } = decodeCursor(cursor);
+    const op = order.direction === "DESC" ? "<" : ">";
+    conditions.push(
+      `(${order.column} ${op} @cursorValue OR (${order.column} = @cursorValue AND seq ${op} @cursorSeq))`,
+    );
+    Object.assign(pageParams, { cursorValue: value, cursorSeq: seq });
+  }
+
+  const rows = db
+    .prepare(
+      `SELECT requests.*, feedback.rating, feedback.comment,
+         ${order.column} AS sort_value
+       FROM requests
+       LEFT JOIN feedback ON feedback.request_id = requests.id
+       ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY ${order.column} ${order.direction}, seq ${order.direction}
+       LIMIT @limit`,
+    )
+    .all(pageParams);
+
+  const hasMore = limit !== Infinity && rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    total,
+    requests: page.map(fromRow),
+    nextCursor: hasMore ? encodeCursor(last.sort_value, last.seq) : null,
+  };
+}
+
+/**
+ * All filtered entries, fetched a page at a time so a large range is never
+ * held in memory (and the database isn't blocked while the caller writes)
+ */
+export async function* streamRequests({ batchSize = 500, ...options } = {}) {
+  let cursor;
+  do {
+    const page = findRequests({
+      ...options,
+      limit: batchSize,
+      cursor,
+      withTotal: false,
+    });
+    yield* page.requests;
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+/**
+ * Totals, per-type and per-model counts for the filtered entries
+ */
+export function aggregateRequests(filters) {
+  const db = getDb();
+  const { where, params } = buildWhere(filters);
+
+  const totals = db
+    .prepare(
+      `SELECT
+         COUNT(*) AS totalRequests,
+         COALESCE(ROUND(AVG(processing_time_ms)), 0) AS avgProcessingTime,
+         COUNT(error) AS errors,
+         COALESCE(SUM(tokens), 0) AS totalTokens
+       FROM requests ${where}`,
+    )
+    .get(params);
+
+  const countBy = (column) =>
+    Object.fromEntries(
+      db
+        .prepare(
+          `SELECT ${column} AS key, COUNT(*) AS count
+           FROM requests ${where}
+           GROUP BY ${column}
+           ORDER BY count DESC`,
+        )
+        .all(params)
+        .map((r) => [r.key, r.count]),
+    );
+
+  return {
+    totalRequests: totals.totalRequests,
+    byType: countBy("response_type"),
+    byModel: countBy("model"),
+    avgProcessingTime: totals.avgProcessingTime,
+    errors: totals.errors,
+    totalTokens: totals.totalTokens,
+  };
+}
+
+// strftime() formats of the time series buckets (timestamps are UTC)
+const BUCKETS = {
+  hour: { format: "%Y-%m-%dT%H:00:00Z", ms: 60 * 60 * 1000 },
+  day: { format: "%Y-%m-%dT00:00:00Z", ms: 24 * 60 * 60 * 1000 },
+};
+
+/**
+ * Requests per hour or day: [{ time, requests, errors, tokens, avgMs,
+ * aiFallback }]. Empty buckets between from and to (or the first and
+ * last request) are filled with zeros.
+ */
+export function getRequestTimeSeries(filters = {}, bucket = "day") {
+  const { format, ms } = BUCKETS[bucket] || BUCKETS.day;
+  const { where, params } = buildWhere(filters);
+
+  const rows = getDb()
+    .prepare(
+      `SELECT
+         strftime('${format}', timestamp) AS time,
+         COUNT(*) AS requests,
+         COUNT(error) AS errors,
+         COALESCE(SUM(tokens), 0) AS tokens,
+         COALESCE(ROUND(AVG(processing_time_ms)), 0) AS avgMs,
+         COALESCE(SUM(matched_by = 'ai'), 0) AS aiFallback
+       FROM requests ${where}
+       GROUP BY time
+       ORDER BY time`,
+    )
+    .all(params);
+
+  const byTime = new Map(rows.map((row) => [row.time, row]));
+  const floor = (date) => Math.floor(new Date(date).getTime() / ms) * ms;
+  const start = filters.from ? floor(filters.from) : floor(rows[0]?.time);
+  const end = filters.to
+    ? floor(Math.min(new Date(filters.to), Date.now()))
+    : floor(rows[rows.length - 1]?.time);
+  if (isNaN(start) || isNaN(end)) return rows;
+
+  const series = [];
+  for (let t = start; t <= end; t += ms) {
+    const time = new Date(t).toISOString().replace(/\.000Z$/, "Z");
+    series.push(
+      byTime.get(time) || {
+        time,
+        requests: 0,
+        errors: 0,
+        tokens: 0,
+        avgMs: 0,
+        aiFallback: 0,
+      },
+    );
+  }
+  return series;
+}
+
+/**
+ * Processing time percentiles (nearest rank), overall and per response
+ * type: [{ type, count, p50, p95, p99, max }], type null for "all"
+ */
+export function getLatencyPercentiles(filters = {}) {
+  const { where, params } = buildWhere(filters);
+
+  const percentiles = (partition) =>
+    getDb()
+      .prepare(
+        `WITH ranked AS (
+           SELECT
+             ${partition} AS type,
+             processing_time_ms AS ms,
+             ROW_NUMBER() OVER (
+               PARTITION BY ${partition} ORDER BY processing_time_ms
+             ) AS rank,
+             COUNT(*) OVER (PARTITION BY ${partition}) AS count
+           FROM requests ${where}
+         )
+         SELECT
+           type,
+           count,
+           MIN(CASE WHEN rank >= 0.50 * count THEN ms END) AS p50,
+           MIN(CASE WHEN rank >= 0.95 * count THEN ms END) AS p95,
+           MIN(CASE WHEN rank >= 0.99 * count THEN ms END) AS p99,
+           MAX(ms) AS max
+         FROM ranked
+         GROUP BY type
+         ORDER BY count DESC`,
+      )
+      .all(params);
+
+  return [...percentiles("NULL"), ...percentiles("response_type")];
+}
+
+/**
+ * Most frequent queries (case-insensitive for Latin text): [{ query, count }]
+ */
+export function getTopQueries(filters = {}, limit = 10) {
+  const { where, params } = buildWhere(filters);
+
+  return getDb()
+    .prepare(
+      `SELECT MIN(query) AS query, COUNT(*) AS count
+       FROM requests ${where}
+       GROUP BY lower(trim(query))
+       ORDER BY count DESC, query
+       LIMIT @limit`,
+    )
+    .all({ ...params, limit });
+}
+
+/**
+ * Most answered FAQ ids and navigation intents:
+ * { faqs: [{ id, count }], intents: [{ id, count }] }
+ */
+export function getTopIntents(filters = {}, limit = 10) {
+  const db = getDb();
+
+  const top = (type) => {
+    const { where, params } = buildWhere({ ...filters, type });
+    return db
+      .prepare(
+        `SELECT intent AS id, COUNT(*) AS count
+         FROM requests
+         ${where} AND intent IS NOT NULL
+         GROUP BY intent
+         ORDER BY count DESC, intent
+         LIMIT @limit`,
+      )
+      .all({ ...params, limit });
+  };
+
+  return { faqs: top("FAQ"), intents: top("NAVIGATION") };
+}
+
+/**
+ * How queries were matched: keyword index vs AI fallback (found / not
+ * found). Requests without detection (/talk, older logs) are left out.
+ */
+export function getMatchRatios(filters = {}) {
+  const { where, params } = buildWhere(filters);
+
+  const counts = getDb()
+    .prepare(
+      `SELECT
+         COALESCE(SUM(matched_by = 'keyword'), 0) AS keyword,
+         COALESCE(SUM(matched_by = 'ai' AND response_type = 'NAVIGATION'), 0)
+           AS aiFound,
+         COALESCE(SUM(matched_by = 'ai' AND response_type != 'NAVIGATION'), 0)
+           AS aiNotFound
+       FROM requests ${where}`,
+    )
+    .get(params);
+  const total = counts.keyword + counts.aiFound + counts.aiNotFound;
+  const share = (n) => (total ? Math.round((n / total) * 1000) / 1000 : null);
+
+  return {
+    ...counts,
+    total,
+    keywordShare: share(counts.keyword),
+    aiShare: share(counts.aiFound + counts.aiNotFound),
+  };
+}
+
+// Filter name → column, for getRequestFacets
+const FACETS = {
+  model: "model",
+  type: "response_type",
+};
+
+/**
+ * Values of each facet (model, type) with their counts, under the current
+ * filters minus the facet's own, so other values stay selectable:
+ * { model: [{ value, count }], type: [...] }, most frequent first
+ */
+export function getRequestFacets(filters = {}) {
+  const db = getDb();
+
+  return Object.fromEntries(
+    Object.entries(FACETS).map(([name, column]) => {
+      const { where, params } = buildWhere({ ...filters, [name]: undefined });
+      const values = db
+        .prepare(
+          `SELECT ${column} AS value, COUNT(*) AS count
+           FROM requests
+           ${where ? `${where} AND` : "WHERE"} ${column} IS NOT NULL
+           GROUP BY ${column}
+           ORDER BY count DESC, value`,
+        )
+        .all(params);
+
+      return [name, values];
+    }),
+  );
+}
+
+/**
+ * Queries the keywords didn't answer: NOT_FOUND, or routed by the AI
+ * fallback. Replies of the general chat (CHAT) are left out. Most recent
+ * first, at most `limit`.
+ */
+export function findUnmatchedQueries({ from, to, limit = 20000 } = {}) {
+  const { where, params } = buildWhere({ from, to });
+
+  return getDb()
+    .prepare(
+      `SELECT query, response_type AS responseType, intent, language, timestamp
+       FROM requests
+       ${where ? `${where} AND` : "WHERE"}
+         (response_type = 'NOT_FOUND'
+           OR (matched_by = 'ai' AND response_type = 'NAVIGATION'))
+       ORDER BY timestamp DESC
+       LIMIT @limit`,
+    )
+    .all({ ...params, limit });
+}
+
+export function countRequests() {
+  return getDb().prepare("SELECT COUNT(*) AS total FROM requests").get().total;
+}
+
+/**
+ * Delete entries older than `cutoff`. Returns the number deleted.
+ */
+export function deleteRequestsBefore(cutoff) {
+  return getDb()
+    .prepare("DELETE FROM requests WHERE timestamp < ?")
+    .run(new Date(cutoff).toISOString()).changes;
+}
+
+/**
+ * Remove IP and user agent from entries older than `cutoff`, keeping
+ * the rest for statistics. Returns the number of entries changed.
+ */
+export function clearClientInfoBefore(cutoff) {
+  return getDb()
+    .prepare(
+      `UPDATE requests SET ip = NULL, user_agent = NULL
+       WHERE timestamp < ? AND (ip IS NOT NULL OR user_agent IS NOT NULL)`,
+    )
+    .run(new Date(cutoff).toISOString()).changes;
+}
+
+/**
+ * Delete every entry of a session or from any of `ips`, with its
+ * feedback. Returns { requests, feedback } deleted.
+ */
+export function deleteRequestsFor({ sessionId, ips = [] }) {
+  const conditions = [];
+  const params = {};
+  if (sessionId) {
+    conditions.push("session_id = @sessionId");
+    params.sessionId = sessionId;
+  }
+  ips.forEach((ip, i) => {
+    conditions.push(`ip = @ip${i}`);
+    params[`ip${i}`] = ip;
+  });
+  if (conditions.length === 0) return { requests: 0, feedback: 0 };
+
+  const where = conditions.join(" OR ");
+  const db = getDb();
+
+  return db.transaction(() => {
+    const feedback = db
+      .prepare(
+        `SELECT COUNT(*) AS total FROM feedback
+         WHERE request_id IN (SELECT id FROM requests WHERE ${where})`,
+      )
+      .get(params).total;
+    const requests = db
+      .prepare(`DELETE FROM requests WHERE ${where}`)
+      .run(params).changes;
+
+    return { requests, feedback };
+  })();
+}
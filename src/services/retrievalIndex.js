@@ -0,0 +1,230 @@
+// services/retrievalIndex.js - In-process BM25 index over keyword documents
+import { normalizeText, tokenize } from "./textNormalizer.js";
+import { wordSimilarity } from "./fuzzyMatch.js";
+
+// Standard BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Inflected forms share a stem: "yangiliklarni" ↔ "yangiliklar"
+const STEM_SIMILARITY = 0.9;
+const MIN_STEM_LENGTH = 4;
+
+// Confidence = how much of the query is explained + how complete the
+// best keyword phrase is (both 0..1)
+const COVERAGE_WEIGHT = 0.6;
+const PHRASE_WEIGHT = 0.4;
+const RANK_CONFIDENCE_WEIGHT = 0.7;
+
+// Fuzzy expansion compares a term with the whole vocabulary: only the
+// first terms of a long query get it, the rest must match exactly
+const MAX_FUZZY_TERMS = 20;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Build an index.
+ * documents: [{ id, keywords: ["bosh sahifa", ...], data }]
+ */
+export function buildIndex(documents, { stopWords = [] } = {}) {
+  const stopSet = new Set(stopWords.map(normalizeText));
+  const termsOf = (text) => tokenize(text).filter((t) => !stopSet.has(t));
+
+  const docs = documents.map((doc) => {
+    const keywords = doc.keywords.map((keyword) => ({
+      keyword,
+      normalized: normalizeText(keyword),
+      terms: termsOf(keyword),
+    }));
+
+    const termFreq = new Map();
+    let length = 0;
+    for (const { terms } of keywords) {
+      for (const term of terms) {
+        termFreq.set(term, (termFreq.get(term) || 0) + 1);
+        length++;
+      }
+    }
+
+    return { id: doc.id, data: doc.data, keywords, termFreq, length };
+  });
+
+  // Document frequency per term
+  const docFreq = new Map();
+  for (const doc of docs) {
+    for (const term of doc.termFreq.keys()) {
+      docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+  }
+
+  const N = docs.length;
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (N || 1);
+
+  const idf = (term) => {
+    const n = docFreq.get(term) || 0;
+    return Math.log(1 + (N - n + 0.5) / (n + 0.5));
+  };
+  const maxIdf = idf("");
+
+  /**
+   * Vocabulary terms a query term stands for, with similarity
+   */
+  function expandTerm(term, fuzzyThreshold) {
+    const known = docFreq.has(term);
+    const expansions = known ? [{ term, similarity: 1 }] : [];
+
+    for (const candidate of docFreq.keys()) {
+      if (candidate === term) continue;
+
+      const shorter = term.length < candidate.length ? term : candidate;
+      const longer = shorter === term ? candidate : term;
+      const sameStem =
+        shorter.length >= MIN_STEM_LENGTH && longer.startsWith(shorter);
+
+      // Other inflections always count, typos only for unknown words
+      let similarity = sameStem ? STEM_SIMILARITY : 0;
+      if (!known) {
+        similarity = Math.max(similarity, wordSimilarity(term, candidate));
+      }
+
+      if (similarity >= fuzzyThreshold) {
+        expansions.push({ term: candidate, similarity });
+      }
+    }
+
+    return expansions.sort((a, b) => b.similarity - a.similarity).slice(0, 5);
+  }
+
+  /**
+   * Ranked matches for a query, best first.
+   * Each result: { id, data, score, confidence, matchedKeywords, terms }
+   */
+  function search(query, { fuzzyThreshold = 0.8, limit = 10 } = {}) {
+    const normalizedQuery = normalizeText(query);
+    const queryTerms = [...new Set(termsOf(query))];
+    if (queryTerms.length === 0) return [];
+
+    const expanded = queryTerms.map((term, i) => ({
+      term,
+      expansions:
+        i < MAX_FUZZY_TERMS
+          ? expandTerm(term, fuzzyThreshold)
+          : docFreq.has(term)
+            ? [{ term, similarity: 1 }]
+            : [],
+    }));
+
+    // Unknown words still count as information the match doesn't explain
+    const totalIdf = expanded.reduce(
+      (sum, { expansions }) =>
+        sum + (expansions.length ? idf(expansions[0].term) : maxIdf),
+      0,
+    );
+
+    const results = [];
+
+    for (const doc of docs) {
+      let score = 0;
+      let coveredIdf = 0;
+      const terms = [];
+      const matchedDocTerms = new Map(); // doc term → similarity
+
+      for (const { term, expansions } of expanded) {
+        let best = null;
+
+        for (const expansion of expansions) {
+          const tf = doc.termFreq.get(expansion.term);
+          if (!tf) continue;
+
+          const termIdf = idf(expansion.term);
+          const weight =
+            (tf * (K1 + 1)) /
+            (tf + K1 * (1 - B + (B * doc.length) / avgLength));
+          const termScore = expansion.similarity * termIdf * weight;
+
+          if (!best || termScore > best.score) {
+            best = { ...expansion, idf: termIdf, score: termScore };
+          }
+        }
+
+        if (best) {
+          score += best.score;
+          coveredIdf += best.similarity * best.idf;
+          matchedDocTerms.set(
+            best.term,
+            Math.max(matchedDocTerms.get(best.term) || 0, best.similarity),
+          );
+          terms.push({
+            query: term,
+            matched: best.term,
+            similarity: round(best.similarity),
+            fuzzy: best.similarity < 1,
+            idf: round(best.idf),
+            score: round(best.score),
+          });
+        }
+      }
+
+      if (score === 0) continue;
+
+      // How completely the query covers this document's keyword phrases
+      const matchedKeywords = [];
+      let phraseCompleteness = 0;
+
+      for (const { keyword, normalized, terms: keywordTerms } of doc.keywords) {
+        if (normalized === normalizedQuery) {
+          phraseCompleteness = 1;
+          matchedKeywords.push({ keyword, type: "exact", coverage: 1 });
+          continue;
+        }
+
+        const hits = keywordTerms.filter((t) => matchedDocTerms.has(t));
+        if (hits.length === 0) continue;
+
+        const coverage =
+          hits.reduce((sum, t) => sum + matchedDocTerms.get(t), 0) /
+          keywordTerms.length;
+        phraseCompleteness = Math.max(phraseCompleteness, coverage);
+        matchedKeywords.push({
+          keyword,
+          type:
+            hits.length === keywordTerms.length ? "all-words" : "some-words",
+          coverage: round(coverage),
+        });
+      }
+
+      const queryCoverage = totalIdf > 0 ? coveredIdf / totalIdf : 0;
+      const confidence =
+        normalizedQuery && matchedKeywords.some((m) => m.type === "exact")
+          ? 1
+          : COVERAGE_WEIGHT * queryCoverage +
+            PHRASE_WEIGHT * phraseCompleteness;
+
+      results.push({
+        id: doc.id,
+        data: doc.data,
+        score: round(score),
+        confidence: round(Math.min(confidence, 1)),
+        matchedKeywords: matchedKeywords.sort(
+          (a, b) => b.coverage - a.coverage,
+        ),
+        terms,
+      });
+    }
+
+    // Rank by confidence, with BM25 (relative to the best hit) as the
+    // finer signal between similarly confident documents
+    const topScore = Math.max(0, ...results.map((r) => r.score));
+    const relevance = (r) =>
+      RANK_CONFIDENCE_WEIGHT * r.confidence +
+      (1 - RANK_CONFIDENCE_WEIGHT) * (r.score / topScore);
+
+    return results.sort((a, b) => relevance(b) - relevance(a)).slice(0, limit);
+  }
+
+  return {
+    search,
+    size: N,
+    vocabularySize: docFreq.size,
+  };
+}
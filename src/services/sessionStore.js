@@ -0,0 +1,228 @@
+// services/sessionStore.js - Conversation memory for multi-turn chat
+//
+// Sessions are stored in SQLite (see services/db), so conversations
+// survive a restart and every process sees the same ones. They are
+// bounded by TTL and size caps. Messages are stored redacted like the
+// request log (FAQ answers are kept: they carry public numbers).
+import crypto from "crypto";
+import { getDb } from "./db/index.js";
+import { localize } from "./language.js";
+import { redactText } from "./privacy.js";
+import { gauge } from "./metrics.js";
+import { logger } from "./logger.js";
+
+// Configuration
+const SESSION_CONFIG = {
+  TTL_MS: (parseInt(process.env.SESSION_TTL_MINUTES) || 30) * 60 * 1000,
+  MAX_SESSIONS: parseInt(process.env.SESSION_MAX_SESSIONS) || 5000,
+  MAX_TURNS: parseInt(process.env.SESSION_MAX_TURNS) || 10, // user + assistant pairs
+};
+
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9-]{8,64}$/;
+
+const INSERT_TURN = `
+  INSERT INTO session_turns (session_id, role, content, result)
+  VALUES (@sessionId, @role, @content, @result)
+`;
+
+// Keeps the last @keep messages of a session
+const TRIM_TURNS = `
+  DELETE FROM session_turns
+  WHERE session_id = @sessionId
+    AND id NOT IN (
+      SELECT id FROM session_turns
+      WHERE session_id = @sessionId
+      ORDER BY id DESC
+      LIMIT @keep
+    )
+`;
+
+function loadTurns(sessionId) {
+  return getDb()
+    .prepare(
+      "SELECT role, content, result FROM session_turns WHERE session_id = ? ORDER BY id",
+    )
+    .all(sessionId)
+    .map(({ role, content, result }) => ({
+      role,
+      content,
+      ...(result && { result: JSON.parse(result) }),
+    }));
+}
+
+/**
+ * Delete sessions idle for longer than the TTL. Returns the number deleted.
+ */
+function deleteExpiredSessions() {
+  return getDb()
+    .prepare("DELETE FROM sessions WHERE last_activity < ?")
+    .run(Date.now() - SESSION_CONFIG.TTL_MS).changes;
+}
+
+// Clean up expired sessions periodically (every 5 minutes)
+setInterval(
+  () => {
+    try {
+      const cleaned = deleteExpiredSessions();
+      if (cleaned > 0) {
+        logger.info("Cleaned expired chat sessions", { count: cleaned });
+      }
+    } catch (error) {
+      logger.error("Error cleaning chat sessions", { error });
+    }
+  },
+  5 * 60 * 1000,
+).unref();
+
+/**
+ * Get an existing session or start a new one.
+ * Unknown, expired or malformed ids get a fresh session.
+ */
+export function getOrCreateSession(sessionId) {
+  const db = getDb();
+  const now = Date.now();
+
+  if (sessionId && SESSION_ID_PATTERN.test(sessionId)) {
+    const row = db
+      .prepare("SELECT * FROM sessions WHERE id = ?")
+      .get(sessionId);
+
+    if (row && now - row.last_activity <= SESSION_CONFIG.TTL_MS) {
+      db.prepare("UPDATE sessions SET last_activity = ? WHERE id = ?").run(
+        now,
+        sessionId,
+      );
+      return {
+        id: row.id,
+        turns: loadTurns(row.id),
+        language: row.language,
+        createdAt: row.created_at,
+        lastActivity: now,
+      };
+    }
+
+    if (row) deleteSession(sessionId);
+  }
+
+  const session = {
+    id: crypto.randomUUID(),
+    turns: [],
+    language: null, // language of the last turn
+    createdAt: now,
+    lastActivity: now,
+  };
+
+  // Evict least recently used sessions when over the cap
+  db.prepare(
+    `DELETE FROM sessions WHERE id IN (
+       SELECT id FROM sessions
+       ORDER BY last_activity DESC
+       LIMIT -1 OFFSET ?
+     )`,
+  ).run(SESSION_CONFIG.MAX_SESSIONS - 1);
+
+  db.prepare(
+    `INSERT INTO sessions (id, language, created_at, last_activity)
+     VALUES (@id, @language, @createdAt, @lastActivity)`,
+  ).run(session);
+  return session;
+}
+
+/**
+ * Previous turns of a session, oldest first
+ */
+export function getHistory(session) {
+  return session ? session.turns : [];
+}
+
+/**
+ * Record one user query and the assistant's reply.
+ * `result` keeps what the reply was based on (FAQ / navigation /
+ * offered choices) so follow-up questions can refer to it.
+ */
+export function addTurn(
+  session,
+  { query, message, type, faq, navigation, candidates, language },
+) {
+  if (!session) return;
+
+  const turns = [
+    { role: "user", content: redactText(query) },
+    {
+      role: "assistant",
+      // FAQ answers come from faq.json, anything else may echo the user
+      content: type === "FAQ" ? message : redactText(message),
+      result: {
+        type,
+        ...(faq && {
+          faq: { id: faq.id, question: localize(faq.question, language) },
+        }),
+        ...(navigation && {
+          navigation: { url: navigation.url, intent: navigation.intent },
+        }),
+        ...(candidates && {
+          candidates: candidates.map((c) => ({
+            url: c.url,
+            intent: c.intent,
+          })),
+        }),
+      },
+    },
+  ];
+
+  const maxMessages = SESSION_CONFIG.MAX_TURNS * 2;
+  session.turns = [...session.turns, ...turns].slice(-maxMessages);
+  session.language = language || session.language;
+  session.lastActivity = Date.now();
+
+  // Appended rather than rewritten: concurrent requests of one session
+  // each add their own turn
+  try {
+    const db = getDb();
+    const insert = db.prepare(INSERT_TURN);
+    db.transaction(() => {
+      for (const turn of turns) {
+        insert.run({
+          sessionId: session.id,
+          role: turn.role,
+          content: turn.content,
+          result: turn.result ? JSON.stringify(turn.result) : null,
+        });
+      }
+      db.prepare(TRIM_TURNS).run({ sessionId: session.id, keep: maxMessages });
+      db.prepare(
+        `UPDATE sessions
+         SET language = COALESCE(@language, language), last_activity = @now
+         WHERE id = @id`,
+      ).run({
+        id: session.id,
+        language: language || null,
+        now: session.lastActivity,
+      });
+    })();
+  } catch (error) {
+    // The answer was already given, only the follow-up context is lost
+    logger.error("Error saving chat session", { error });
+  }
+}
+
+/**
+ * Forget a session and its turns. Returns whether it existed.
+ */
+export function deleteSession(sessionId) {
+  return (
+    getDb().prepare("DELETE FROM sessions WHERE id = ?").run(sessionId)
+      .changes > 0
+  );
+}
+
+/**
+ * Number of active sessions (for stats)
+ */
+export function getSessionCount() {
+  return getDb()
+    .prepare("SELECT COUNT(*) AS count FROM sessions WHERE last_activity >= ?")
+    .get(Date.now() - SESSION_CONFIG.TTL_MS).count;
+}
+
+gauge("assistant_active_sessions", "Active chat sessions", getSessionCount);
@@ -0,0 +1,95 @@
+// services/textNormalizer.js - Shared text normalization for FAQ/navigation matching
+
+// Uzbek (and Russian) Cyrillic → Uzbek Latin
+const CYRILLIC_TO_LATIN = {
+  а: "a",
+  б: "b",
+  в: "v",
+  г: "g",
+  д: "d",
+  ё: "yo",
+  ж: "j",
+  з: "z",
+  и: "i",
+  й: "y",
+  к: "k",
+  л: "l",
+  м: "m",
+  н: "n",
+  о: "o",
+  п: "p",
+  р: "r",
+  с: "s",
+  т: "t",
+  у: "u",
+  ф: "f",
+  х: "x",
+  ц: "ts",
+  ч: "ch",
+  ш: "sh",
+  щ: "sh",
+  ъ: "'",
+  ы: "i",
+  ь: "",
+  э: "e",
+  ю: "yu",
+  я: "ya",
+  ў: "o'",
+  қ: "q",
+  ғ: "g'",
+  ҳ: "h",
+};
+
+const CYRILLIC_VOWELS = "аеёиоуэюяў";
+
+// o‘ o’ oʻ oʼ o` o´ → o'
+const APOSTROPHE_VARIANTS = /[‘’ʻʼ`´′]/g;
+
+/**
+ * Transliterate Cyrillic text to Uzbek Latin.
+ * "е" is "ye" at the start of a word and after a vowel, "e" elsewhere.
+ */
+export function transliterate(text) {
+  let result = "";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === "е") {
+      const prev = text[i - 1];
+      const atWordStart = !prev || !/\p{L}/u.test(prev);
+      result += atWordStart || CYRILLIC_VOWELS.includes(prev) ? "ye" : "e";
+      continue;
+    }
+
+    result += CYRILLIC_TO_LATIN[char] ?? char;
+  }
+
+  return result;
+}
+
+/**
+ * Normalize text for matching:
+ * lowercase → Cyrillic to Latin → unify and drop apostrophes →
+ * strip punctuation → collapse whitespace.
+ *
+ * "Раҳбар ким?", "o‘rinbosar" and "o'rinbosar" all become comparable.
+ */
+export function normalizeText(text) {
+  if (!text) return "";
+
+  return transliterate(String(text).toLowerCase())
+    .replace(APOSTROPHE_VARIANTS, "'")
+    .replace(/'/g, "")
+    .replace(/[^\p{L}\p{N}\s-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalize and split into words
+ */
+export function tokenize(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(" ") : [];
+}
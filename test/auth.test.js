@@ -0,0 +1,115 @@
+// test/auth.test.js - Passwords, signed tokens and the role middleware
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-"));
+process.env.DATABASE_FILE = path.join(dir, "assistant.db");
+process.env.AUTH_SECRET = "test-secret";
+
+// Users are read on import, so the hash is made here the way
+// hashPassword does it
+const salt = crypto.randomBytes(16);
+const hash = `scrypt$${salt.toString("hex")}$${crypto.scryptSync("pw", salt, 64).toString("hex")}`;
+process.env.AUTH_USERS = `admin:admin:${hash},ali:viewer:${hash}`;
+
+const { hashPassword, verifyPassword, authenticate, issueToken, verifyToken } =
+  await import("../src/services/authService.js");
+const { requireRole, AUTH_COOKIE } = await import("../src/middleware/auth.js");
+const { closeDb } = await import("../src/services/db/index.js");
+
+const app = express();
+app.get("/admin", requireRole("admin"), (req, res) => res.json(req.user));
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+
+after(() => {
+  server.close();
+  closeDb();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("passwords are checked against their scrypt hash", async () => {
+  const hashed = hashPassword("maxfiy");
+
+  assert.match(hashed, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.equal(await verifyPassword("maxfiy", hashed), true);
+  assert.equal(await verifyPassword("Maxfiy", hashed), false);
+  assert.equal(await verifyPassword("maxfiy", "bcrypt$x$y"), false);
+  assert.equal(await verifyPassword("maxfiy", "scrypt$00$"), false);
+});
+
+test("authenticate resolves to the user or null", async () => {
+  assert.deepEqual(await authenticate("ali", "pw"), {
+    username: "ali",
+    role: "viewer",
+  });
+  assert.equal(await authenticate("ali", "wrong"), null);
+  assert.equal(await authenticate("nobody", "pw"), null);
+  assert.equal(await authenticate(undefined, undefined), null);
+});
+
+test("tokens verify until they are tampered with", () => {
+  const { token } = issueToken({ username: "admin", role: "admin" });
+  assert.deepEqual(verifyToken(token), {
+    user: { username: "admin", role: "admin" },
+  });
+
+  const [payload, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ sub: "admin", role: "admin", exp: Date.now() * 2 }),
+  ).toString("base64url");
+  assert.deepEqual(verifyToken(`${forged}.${signature}`), {
+    error: "invalid",
+  });
+  assert.deepEqual(verifyToken(payload), { error: "invalid" });
+  assert.deepEqual(verifyToken(undefined), { error: "invalid" });
+
+  const { token: stranger } = issueToken({ username: "gone", role: "admin" });
+  assert.deepEqual(verifyToken(stranger), { error: "unknown_user" });
+});
+
+test("requireRole checks the bearer token and the role", async () => {
+  const get = (token) =>
+    fetch(`${base}/admin`, {
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+    });
+  const admin = issueToken({ username: "admin", role: "admin" }).token;
+  const viewer = issueToken({ username: "ali", role: "viewer" }).token;
+
+  const ok = await get(admin);
+  assert.equal(ok.status, 200);
+  assert.deepEqual(await ok.json(), { username: "admin", role: "admin" });
+
+  assert.equal((await get(viewer)).status, 403);
+  const missing = await get();
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+  assert.equal((await get("x.y")).status, 401);
+});
+
+test("the sign-in cookie works, a malformed one counts as absent", async () => {
+  const get = (cookie, accept = "application/json") =>
+    fetch(`${base}/admin`, {
+      headers: { cookie, accept },
+      redirect: "manual",
+    });
+  const admin = issueToken({ username: "admin", role: "admin" }).token;
+
+  assert.equal((await get(`a=1; ${AUTH_COOKIE}=${admin}`)).status, 200);
+
+  const malformed = await get(`${AUTH_COOKIE}=%E0%A4%A`);
+  assert.equal(malformed.status, 401);
+  assert.deepEqual(await malformed.json(), {
+    error: "Authentication required",
+  });
+
+  // Browsers are sent to the login page
+  const page = await get(`${AUTH_COOKIE}=%`, "text/html");
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get("location"), "/auth/login?next=%2Fadmin");
+});
@@ -0,0 +1,82 @@
+// test/budget.test.js - Spend recording, failed calls and the keyword-only switch
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "budget-"));
+process.env.DATABASE_FILE = path.join(dir, "assistant.db");
+process.env.BUDGET_DAILY_TOKENS = "1000";
+process.env.BUDGET_KEYWORD_ONLY_AT = "0.9";
+process.env.LLM_PROVIDER = "mock";
+// Every chat call fails: the provider is missing its LLM_BASE_URL
+process.env.LLM_CHAT_PROVIDER = "openai-compatible";
+process.env.LLM_CHAT_MODEL = "gpt-4o-mini";
+
+const { recordUsage, getBudgetStatus, isKeywordOnly } =
+  await import("../src/services/budget.js");
+const { generateChatResponse, streamGeneralChat } =
+  await import("../src/services/aiService.js");
+const { getDb, closeDb } = await import("../src/services/db/index.js");
+
+after(() => {
+  closeDb();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const spent = () => getBudgetStatus().daily.tokens;
+
+test("usage is added to the day and the month, priced per model", () => {
+  recordUsage("gpt-4o-mini", {
+    promptTokens: 100,
+    completionTokens: 50,
+    totalTokens: 150,
+  });
+
+  const { daily, monthly, keywordOnly } = getBudgetStatus();
+  assert.equal(daily.tokens, 150);
+  assert.equal(monthly.tokens, 150);
+  // (100 * 0.15 + 50 * 0.6) / 1M
+  assert.equal(daily.usd, 0.000045);
+  assert.equal(daily.used, 0.15);
+  assert.equal(keywordOnly, false);
+});
+
+test("failed and aborted calls are counted by estimate", async () => {
+  const before = spent();
+
+  const failed = await generateChatResponse("Salom", null, [], "uz");
+  assert.ok(failed.error);
+  assert.ok(failed.estimatedTokens > 0);
+  assert.equal(spent(), before + failed.estimatedTokens);
+
+  const controller = new AbortController();
+  const aborted = await streamGeneralChat("bir ikki uch to'rt", [], "uz", {
+    signal: controller.signal,
+    onToken: () => controller.abort(),
+  });
+  assert.equal(aborted.aborted, true);
+  assert.equal(
+    spent(),
+    before + failed.estimatedTokens + aborted.estimatedTokens,
+  );
+});
+
+test("the status is cached until the next recorded call", () => {
+  const before = getBudgetStatus();
+
+  // Spend written by another process shows up after the cache expires
+  getDb()
+    .prepare("UPDATE llm_spend SET tokens = tokens + 500 WHERE model = 'mock'")
+    .run();
+  assert.equal(getBudgetStatus(), before);
+
+  recordUsage("mock", {
+    promptTokens: 900,
+    completionTokens: 0,
+    totalTokens: 900,
+  });
+  assert.ok(getBudgetStatus().daily.tokens >= 900);
+  assert.equal(isKeywordOnly(), true);
+});
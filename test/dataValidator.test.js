@@ -0,0 +1,163 @@
+// test/dataValidator.test.js - JSON positions and the issues reported at them
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseJsonWithPositions,
+  JsonPositionError,
+  validateFaqFile,
+  validateSiteMapFile,
+  validateKnowledgeBase,
+  formatValidationIssue,
+} from "../src/services/dataValidator.js";
+
+const lines = (...rows) => rows.join("\n");
+
+const FAQ_TEXT = lines(
+  "{",
+  '  "faqs": [',
+  "    {",
+  '      "id": "ceo_info",',
+  '      "keywords": { "uz": ["rais", "rahbariyat"] },',
+  '      "question": "Boshqaruv raisi kim?",',
+  '      "answer": "Boshqaruv raisi ..."',
+  "    },",
+  '    { "id": "Bad-Id", "keywords": { "uz": ["x"] }, "answer": "y" }',
+  "  ]",
+  "}",
+);
+
+const SITE_MAP_TEXT = lines(
+  "[",
+  "  {",
+  '    "intent": "rahbariyat",',
+  '    "url": "/rahbariyat",',
+  '    "keywords": { "uz": ["rahbariyat"] }',
+  "  }",
+  "]",
+);
+
+test("remembers where every value starts", () => {
+  const { data, positions } = parseJsonWithPositions(FAQ_TEXT);
+
+  assert.equal(data.faqs.length, 2);
+  assert.deepEqual(positions.get(""), { line: 1, column: 1 });
+  assert.deepEqual(positions.get("faqs"), { line: 2, column: 11 });
+  assert.deepEqual(positions.get("faqs[0]"), { line: 3, column: 5 });
+  assert.deepEqual(positions.get("faqs[0].id"), { line: 4, column: 13 });
+  assert.deepEqual(positions.get("faqs[0].keywords.uz[1]"), {
+    line: 5,
+    column: 36,
+  });
+  assert.deepEqual(positions.get("faqs[1].id"), { line: 9, column: 13 });
+});
+
+test("positions of top-level arrays, numbers and literals", () => {
+  const { data, positions } = parseJsonWithPositions(
+    '[1, -2.5e3,\n  true, null, "\\u00e9"]',
+  );
+
+  assert.deepEqual(data, [1, -2500, true, null, "é"]);
+  assert.deepEqual(positions.get("[1]"), { line: 1, column: 5 });
+  assert.deepEqual(positions.get("[2]"), { line: 2, column: 3 });
+  assert.deepEqual(positions.get("[4]"), { line: 2, column: 15 });
+});
+
+test("syntax errors carry the line and column", () => {
+  const cases = [
+    ['{\n  "a": [1, 2,]\n}', 2, 14, "Unexpected ']'"],
+    ['{\n  "a": 1\n  "b": 2\n}', 3, 3, "Expected '}' but found '\"'"],
+    ['{ "a": "open\n}', 1, 13, "Unterminated string"],
+    ['{ "a": 1 } x', 1, 12, "Unexpected 'x' after the data"],
+    ['{ "a": ', 1, 8, "Unexpected end of file"],
+  ];
+
+  for (const [text, line, column, reason] of cases) {
+    assert.throws(
+      () => parseJsonWithPositions(text),
+      (error) => {
+        assert.ok(error instanceof JsonPositionError);
+        assert.ok(error instanceof SyntaxError);
+        assert.deepEqual(
+          { line: error.line, column: error.column, reason: error.reason },
+          { line, column, reason },
+          text,
+        );
+        return true;
+      },
+    );
+  }
+});
+
+test("entry issues point at the field, or at the entry when it's missing", () => {
+  const { data, issues } = validateFaqFile(FAQ_TEXT);
+
+  assert.deepEqual(
+    data.faqs.map((faq) => faq.id),
+    ["ceo_info"],
+  );
+  assert.deepEqual(
+    issues.map(({ path, line, column, severity }) => ({
+      path,
+      line,
+      column,
+      severity,
+    })),
+    [
+      { path: "faqs[1].id", line: 9, column: 13, severity: "error" },
+      { path: "faqs[1].question", line: 9, column: 5, severity: "error" },
+    ],
+  );
+});
+
+test("a syntax error is reported as a single issue", () => {
+  const { data, issues } = validateSiteMapFile('[\n  { "intent": }\n]');
+
+  assert.equal(data, null);
+  assert.equal(issues.length, 1);
+  assert.equal(
+    formatValidationIssue(issues[0]),
+    "siteMap.json:2:15 Unexpected '}'",
+  );
+});
+
+test("keyword conflicts are reported at the FAQ keyword", () => {
+  const { errors, warnings } = validateKnowledgeBase({
+    faqText: FAQ_TEXT,
+    siteMapText: SITE_MAP_TEXT,
+  });
+
+  assert.equal(errors.length, 2);
+  assert.equal(warnings.length, 1);
+  assert.equal(
+    formatValidationIssue(warnings[0]),
+    'faq.json:5:36 faqs[0].keywords.uz[1]: "rahbariyat" (ceo_info) is also a siteMap keyword: "rahbariyat" (rahbariyat)',
+  );
+});
+
+test("sharedKeywords silence the conflicts they list, and only those", () => {
+  const faqText = FAQ_TEXT.replace(
+    '"question": "Boshqaruv raisi kim?",',
+    '"sharedKeywords": ["Rahbariyat", "rais"], "question": "Boshqaruv raisi kim?",',
+  ).replace('["rais", "rahbariyat"]', '["rais", "rahbariyat", "rahbariyati"]');
+
+  const { warnings } = validateKnowledgeBase({
+    faqText,
+    siteMapText: SITE_MAP_TEXT,
+  });
+
+  assert.deepEqual(
+    warnings.map((w) => `${w.path}: ${w.message}`),
+    [
+      'faqs[0].keywords.uz[2]: "rahbariyati" (ceo_info) is close to siteMap keywords "rahbariyat" (rahbariyat)',
+    ],
+  );
+  assert.deepEqual(
+    validateFaqFile(
+      '{ "faqs": [{ "id": "a", "keywords": ["x"], "sharedKeywords": ["y", 1], "question": "q", "answer": "a" }] }',
+    ).issues.map((i) => `${i.severity} ${i.path}: ${i.message}`),
+    [
+      'warning faqs[0].sharedKeywords[0]: "y" is not one of the entry\'s keywords',
+      "error faqs[0].sharedKeywords[1]: must be a non-empty string",
+    ],
+  );
+});
@@ -0,0 +1,39 @@
+// test/language.test.js - Query language detection and localized values
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  detectLanguage,
+  resolveLanguage,
+  localize,
+} from "../src/services/language.js";
+
+test("detects Uzbek (Latin and Cyrillic), Russian and English", () => {
+  assert.equal(detectLanguage("Boshqaruv raisi kim?"), "uz");
+  assert.equal(detectLanguage("Bo‘limlar qayerda joylashgan"), "uz");
+  assert.equal(detectLanguage("Қаерда жойлашган?"), "uz");
+  assert.equal(detectLanguage("Ким раҳбар"), "uz");
+  assert.equal(detectLanguage("Кто руководитель компании?"), "ru");
+  assert.equal(detectLanguage("Who is the head of the company?"), "en");
+});
+
+test("text without a clear signal gets the fallback", () => {
+  assert.equal(detectLanguage("12345"), "uz");
+  assert.equal(detectLanguage("Rahbariyat", "ru"), "ru");
+  assert.equal(detectLanguage("", "en"), "en");
+  assert.equal(detectLanguage("12345", "de"), "uz");
+});
+
+test("an explicitly requested language wins over detection", () => {
+  assert.equal(resolveLanguage("ru", "Who is the director?"), "ru");
+  assert.equal(resolveLanguage("de", "Who is the director?"), "en");
+  assert.equal(resolveLanguage(undefined, "Salom", "ru"), "uz");
+});
+
+test("localize falls back to Uzbek and passes strings through", () => {
+  const value = { uz: "Aloqa", ru: "Контакты" };
+
+  assert.equal(localize(value, "ru"), "Контакты");
+  assert.equal(localize(value, "en"), "Aloqa");
+  assert.equal(localize("Aloqa", "ru"), "Aloqa");
+  assert.equal(localize(null, "ru"), null);
+});
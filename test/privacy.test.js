@@ -0,0 +1,85 @@
+// test/privacy.test.js - Redaction of personal data and IP anonymization
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  redactText,
+  anonymizeIp,
+  protectEntry,
+  ipForms,
+  IP_MODE,
+} from "../src/services/privacy.js";
+
+test("phone numbers in the usual spellings", () => {
+  for (const phone of [
+    "+998 90 123 45 67",
+    "+998901234567",
+    "998-93-123-45-67",
+    "(99) 123-45-67",
+    "901234567",
+  ]) {
+    assert.equal(
+      redactText(`Raqamim ${phone}, qo'ng'iroq qiling`),
+      "Raqamim [phone], qo'ng'iroq qiling",
+      phone,
+    );
+  }
+});
+
+test("numbers that are not mobile phones are kept", () => {
+  // Landline (71), order numbers, years and amounts
+  for (const text of [
+    "Call markaz: +998 71 200 00 00",
+    "Buyurtma 123456789",
+    "2024 yil 1 500 000 so'm",
+  ]) {
+    assert.equal(redactText(text), text);
+  }
+});
+
+test("emails, passports and PINFLs", () => {
+  assert.equal(
+    redactText("ali.valiyev@mail.uz, AA1234567, AD 7654321"),
+    "[email], [passport], [passport]",
+  );
+  // 14 digits are a PINFL, not a phone number followed by digits
+  assert.equal(redactText("JShShIR 31234567890123"), "JShShIR [pinfl]");
+  assert.equal(redactText("Почта: иван@почта.рф"), "Почта: [email]");
+});
+
+test("non-strings pass through", () => {
+  assert.equal(redactText(undefined), undefined);
+  assert.equal(redactText(""), "");
+  assert.equal(redactText(null), null);
+});
+
+test("IPs are truncated by default", () => {
+  assert.equal(IP_MODE, "truncate");
+  assert.equal(anonymizeIp("203.0.113.57"), "203.0.113.0");
+  assert.equal(anonymizeIp("::ffff:203.0.113.57"), "203.0.113.0");
+  assert.equal(
+    anonymizeIp("2001:db8:85a3:8d3:1319:8a2e:370:7348"),
+    "2001:db8:85a3::",
+  );
+  assert.equal(anonymizeIp("2001:db8::1"), "2001:db8:0::");
+  assert.equal(anonymizeIp("fe80::1%eth0"), "fe80:0:0::");
+  assert.equal(anonymizeIp(undefined), undefined);
+});
+
+test("log entries lose the query's personal data and the full IP", () => {
+  const entry = {
+    query: "Mening raqamim 901234567",
+    answer: "Qo'ng'iroq qiling: +998 90 000 00 00",
+    ip: "10.1.2.3",
+  };
+
+  assert.deepEqual(protectEntry(entry), {
+    query: "Mening raqamim [phone]",
+    answer: entry.answer,
+    ip: "10.1.2.0",
+  });
+});
+
+test("ipForms covers dual-stack sockets", () => {
+  assert.deepEqual(ipForms("::ffff:1.2.3.4"), ["1.2.3.4", "::ffff:1.2.3.4"]);
+  assert.deepEqual(ipForms("2001:db8::1"), ["2001:db8::1"]);
+});
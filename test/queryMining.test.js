@@ -0,0 +1,93 @@
+// test/queryMining.test.js - Grouping missed queries and the keywords suggested
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "query-mining-"));
+process.env.DATABASE_FILE = path.join(dir, "assistant.db");
+
+const { insertRequests } = await import("../src/services/requestLog.js");
+const { runQueryMining } = await import("../src/services/queryMining.js");
+const { getDb, closeDb } = await import("../src/services/db/index.js");
+
+after(() => {
+  closeDb();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+let seq = 0;
+const logged = (query, fields = {}) => ({
+  id: `req-${seq++}`,
+  timestamp: new Date().toISOString(),
+  query,
+  responseType: "NOT_FOUND",
+  ...fields,
+});
+const aiRouted = (query) =>
+  logged(query, {
+    responseType: "NAVIGATION",
+    matchedBy: "ai",
+    intent: "jamiyat_nizomi",
+    language: "uz",
+  });
+
+test("similar wordings are grouped, the AI's intent suggested", () => {
+  getDb().exec("DELETE FROM requests");
+  insertRequests([
+    aiRouted("Korxona ustavini ko'rsating"),
+    aiRouted("korxona ustavini ko'rsating!"),
+    aiRouted("korxona ustavni korsating"),
+    logged("ish o'rinlari bormi"),
+  ]);
+
+  const { queries, groups } = runQueryMining();
+
+  assert.equal(queries, 4);
+  assert.equal(groups.length, 2);
+  assert.equal(groups[0].count, 3);
+  assert.deepEqual(groups[0].suggestion, {
+    intent: "jamiyat_nizomi",
+    title: "Jamiyat nizomi",
+    url: groups[0].suggestion.url,
+    keyword: "korxona ustavini ko'rsating",
+    language: "uz",
+    support: 3,
+  });
+  assert.equal(groups[1].unanswered, 1);
+});
+
+test("redaction placeholders are not words, nor part of a keyword", () => {
+  getDb().exec("DELETE FROM requests");
+  insertRequests([
+    aiRouted("[phone] korxona nizomi kerak"),
+    aiRouted("korxona nizomi kerak [phone]"),
+    logged("[phone]"),
+    logged("[email] [phone]"),
+  ]);
+
+  const { queries, groups } = runQueryMining();
+
+  assert.equal(queries, 4);
+  assert.equal(groups.length, 1);
+  assert.equal(groups[0].suggestion.keyword, "korxona nizomi kerak");
+});
+
+test("long queries and many distinct wordings stay cheap", () => {
+  getDb().exec("DELETE FROM requests");
+  const words = (n, count) =>
+    Array.from({ length: count }, (_, i) => `soz${n}x${i}`).join(" ");
+  insertRequests([
+    // All sharing a word start: each is compared with the others
+    ...Array.from({ length: 2000 }, (_, n) => logged(words(n, 5))),
+    logged(words("long", 5000)),
+  ]);
+
+  const start = Date.now();
+  const { queries, groups } = runQueryMining();
+
+  assert.equal(queries, 2001);
+  assert.ok(groups.length > 0);
+  assert.ok(Date.now() - start < 10000, `${Date.now() - start} ms`);
+});
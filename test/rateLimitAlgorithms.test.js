@@ -0,0 +1,137 @@
+// test/rateLimitAlgorithms.test.js - Limiter behaviour at window edges
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseDuration,
+  slidingWindow,
+  tokenBucket,
+  createLimiter,
+} from "../src/services/rateLimit/algorithms.js";
+
+/**
+ * Consume `times` requests at `now`, returning the last result
+ */
+function consumeTimes(limiter, state, now, times) {
+  let result = { state };
+  for (let n = 0; n < times; n++) {
+    result = limiter.consume(result.state, now);
+  }
+  return result;
+}
+
+test("parseDuration", () => {
+  assert.equal(parseDuration("30s"), 30 * 1000);
+  assert.equal(parseDuration("15m"), 15 * 60 * 1000);
+  assert.equal(parseDuration("1.5h"), 90 * 60 * 1000);
+  assert.equal(parseDuration("1d"), 24 * 60 * 60 * 1000);
+  assert.throws(() => parseDuration("10"), /Invalid duration/);
+  assert.throws(() => parseDuration("5w"), /Invalid duration/);
+});
+
+test("createLimiter reads specs", () => {
+  assert.equal(createLimiter("off"), null);
+  assert.equal(createLimiter(""), null);
+
+  const sliding = createLimiter("sliding:30/12h");
+  assert.equal(sliding.algorithm, "sliding-window");
+  assert.equal(sliding.limit, 30);
+  assert.equal(sliding.windowMs, 12 * 60 * 60 * 1000);
+  assert.equal(createLimiter("bucket:60/1h").algorithm, "token-bucket");
+
+  assert.throws(() => createLimiter("fixed:10/1m"), /Invalid rate limit/);
+  assert.throws(() => createLimiter("bucket:10"), /Invalid rate limit/);
+});
+
+test("sliding window: the limit holds up to the last ms of a window", () => {
+  const limiter = slidingWindow({ limit: 3, windowMs: 1000 });
+
+  const full = consumeTimes(limiter, null, 0, 3);
+  assert.equal(full.allowed, true);
+  assert.equal(full.remaining, 0);
+  assert.equal(full.resetAt, 1000);
+
+  const last = limiter.consume(full.state, 999);
+  assert.equal(last.allowed, false);
+  assert.equal(last.state.current, 3);
+});
+
+test("sliding window: the previous window decays after the edge", () => {
+  const limiter = slidingWindow({ limit: 3, windowMs: 1000 });
+  const { state } = consumeTimes(limiter, null, 0, 3);
+
+  // At the edge the previous window still counts in full
+  const atEdge = limiter.consume(state, 1000);
+  assert.equal(atEdge.allowed, false);
+  // 3 * (1 - t / 1000) + 1 <= 3 from t = 333.3 on
+  assert.equal(atEdge.resetAt, 1334);
+  assert.equal(atEdge.retryAfterMs, 334);
+
+  assert.equal(limiter.consume(state, 1333).allowed, false);
+  const retried = limiter.consume(state, 1334);
+  assert.equal(retried.allowed, true);
+  assert.equal(retried.state.previous, 3);
+  assert.equal(retried.state.current, 1);
+});
+
+test("sliding window: an idle window forgets everything", () => {
+  const limiter = slidingWindow({ limit: 3, windowMs: 1000 });
+  const { state } = consumeTimes(limiter, null, 0, 3);
+
+  const later = limiter.consume(state, 2000);
+  assert.equal(later.allowed, true);
+  assert.deepEqual(later.state, { windowStart: 2000, current: 1, previous: 0 });
+  assert.equal(limiter.peek(state, 2000).remaining, 3);
+});
+
+test("sliding window: forced cost is carried as debt", () => {
+  const limiter = slidingWindow({ limit: 100, windowMs: 1000 });
+
+  const charged = limiter.consume(null, 0, 250, { force: true });
+  assert.equal(charged.allowed, false);
+  assert.equal(charged.state.current, 250);
+  assert.equal(charged.remaining, 0);
+
+  // Still over the limit in the next window until enough decays
+  assert.equal(limiter.consume(charged.state, 1500).allowed, false);
+  assert.equal(limiter.peek(charged.state, 1600).remaining, 0);
+  assert.equal(limiter.consume(charged.state, 2000).allowed, true);
+});
+
+test("token bucket: refills at limit / window per ms", () => {
+  const limiter = tokenBucket({ limit: 2, windowMs: 2000 });
+
+  const empty = consumeTimes(limiter, null, 0, 2);
+  assert.equal(empty.allowed, true);
+  assert.equal(empty.remaining, 0);
+  assert.equal(empty.resetAt, 2000);
+
+  const denied = limiter.consume(empty.state, 0);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterMs, 1000);
+  assert.equal(denied.resetAt, 1000);
+
+  assert.equal(limiter.consume(empty.state, 999).allowed, false);
+  assert.equal(limiter.consume(empty.state, 1000).allowed, true);
+});
+
+test("token bucket: never holds more than the limit", () => {
+  const limiter = tokenBucket({ limit: 2, windowMs: 2000 });
+  const { state } = limiter.consume(null, 0);
+
+  const idle = limiter.peek(state, 60 * 1000);
+  assert.equal(idle.remaining, 2);
+  assert.equal(idle.resetAt, 60 * 1000);
+});
+
+test("token bucket: forced cost waits for the debt to refill", () => {
+  const limiter = tokenBucket({ limit: 10, windowMs: 10 * 1000 });
+
+  const charged = limiter.consume(null, 0, 15, { force: true });
+  assert.equal(charged.allowed, false);
+  assert.equal(charged.state.tokens, -5);
+  assert.equal(charged.remaining, 0);
+
+  // -5 + 0.001 * t >= 1 from t = 6000
+  assert.equal(limiter.consume(charged.state, 5999).allowed, false);
+  assert.equal(limiter.consume(charged.state, 6000).allowed, true);
+});
@@ -0,0 +1,83 @@
+// test/rateLimitStores.test.js - Stores under failure: stuck Redis, stopped process
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { createRedisStore } from "../src/services/rateLimit/redisStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "rate-limits-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a Redis that never answers fails every call within the timeout", async () => {
+  // Accepts connections and reads commands, but never replies
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const store = createRedisStore({
+    url: `redis://127.0.0.1:${server.address().port}`,
+    timeoutMs: 200,
+  });
+
+  try {
+    const start = Date.now();
+    const calls = [
+      store.get("a"),
+      store.update("b", () => ({ n: 1 }), 1000),
+      store.get("c"),
+      store.deletePrefix("d"),
+    ];
+    const results = await Promise.allSettled(calls);
+
+    assert.deepEqual(
+      results.map((r) => r.status),
+      ["rejected", "rejected", "rejected", "rejected"],
+    );
+    assert.match(results[0].reason.message, /timed out/);
+    // All at once, not one timeout after another
+    assert.ok(Date.now() - start < 600, `${Date.now() - start} ms`);
+
+    // Later calls reconnect, and time out again
+    await assert.rejects(store.get("a"), /timed out/);
+  } finally {
+    await store.close();
+    for (const socket of sockets) socket.destroy();
+    server.close();
+  }
+});
+
+test("the file store writes its state when the process is stopped", async () => {
+  const file = path.join(dir, "rateLimits.json");
+  const storeUrl = new URL(
+    "../src/services/rateLimit/fileStore.js",
+    import.meta.url,
+  );
+  // Changes are written every minute, the process is stopped before
+  const script = `
+    const { createFileStore } = await import(${JSON.stringify(storeUrl.href)});
+    const store = createFileStore({ file: ${JSON.stringify(file)}, flushIntervalMs: 60000 });
+    await store.update("chat:x", () => ({ tokens: 7 }), 60000);
+    process.kill(process.pid, "SIGTERM");
+    setTimeout(() => {}, 5000);
+  `;
+
+  const { error } = await new Promise((resolve) =>
+    execFile(
+      process.execPath,
+      ["--input-type=module", "-e", script],
+      { timeout: 10000 },
+      (error) => resolve({ error }),
+    ),
+  );
+
+  // Still ends the way SIGTERM does
+  assert.equal(error?.signal, "SIGTERM");
+  const saved = JSON.parse(fs.readFileSync(file, "utf-8"));
+  assert.deepEqual(saved["chat:x"].value, { tokens: 7 });
+});
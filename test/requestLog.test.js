@@ -0,0 +1,107 @@
+// test/requestLog.test.js - Request log pages, cursors and the list's filters
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "request-log-"));
+process.env.DATABASE_FILE = path.join(dir, "assistant.db");
+process.env.AUTH_SECRET = "test-secret";
+const salt = crypto.randomBytes(16);
+process.env.AUTH_USERS = `viewer:viewer:scrypt$${salt.toString("hex")}$${crypto.scryptSync("pw", salt, 64).toString("hex")}`;
+
+const { insertRequests, findRequests, RequestQueryError } =
+  await import("../src/services/requestLog.js");
+const { issueToken } = await import("../src/services/authService.js");
+const { default: chatHistoryRoutes } =
+  await import("../src/routes/chatHistory.js");
+const { getDb, closeDb } = await import("../src/services/db/index.js");
+
+const app = express();
+app.use("/chatHistory", chatHistoryRoutes);
+const server = app.listen(0);
+const base = `http://127.0.0.1:${server.address().port}`;
+const { token } = issueToken({ username: "viewer", role: "viewer" });
+
+after(() => {
+  server.close();
+  closeDb();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+insertRequests(
+  Array.from({ length: 5 }, (_, n) => ({
+    id: `req-${n}`,
+    timestamp: new Date(Date.UTC(2026, 0, 1, n)).toISOString(),
+    query: `savol ${n}`,
+    responseType: "FAQ",
+    processingTimeMs: n * 10,
+    ip: n < 2 ? "203.0.113.0" : "198.51.100.0",
+  })),
+);
+// Imported logs may have no processing time
+getDb()
+  .prepare("UPDATE requests SET processing_time_ms = NULL WHERE id = 'req-0'")
+  .run();
+
+const getJson = (query) =>
+  fetch(`${base}/chatHistory?format=json&${query}`, {
+    headers: { authorization: `Bearer ${token}` },
+  });
+
+test("cursors page through every sort without gaps", () => {
+  for (const sort of ["newest", "oldest", "slowest", "tokens"]) {
+    const ids = [];
+    let cursor;
+    do {
+      const page = findRequests({ sort, limit: 2, cursor });
+      ids.push(...page.requests.map((r) => r.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.equal(new Set(ids).size, 5, sort);
+  }
+
+  const slowest = findRequests({ sort: "slowest" }).requests.map((r) => r.id);
+  assert.deepEqual(slowest, ["req-4", "req-3", "req-2", "req-1", "req-0"]);
+});
+
+test("cursors not made by the list are rejected", () => {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+
+  for (const cursor of [
+    "W3t9LDFd", // [{},1]
+    encode([null, 1]),
+    encode([[1], 1]),
+    encode(["2026-01-01", 1.5]),
+    encode({}),
+    "not json",
+  ]) {
+    assert.throws(() => findRequests({ cursor }), RequestQueryError, cursor);
+  }
+});
+
+test("a malformed cursor is a 400, in JSON when JSON was asked for", async () => {
+  const response = await getJson("cursor=W3t9LDFd");
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: "Invalid cursor" });
+});
+
+test("the ip filter matches the stored, truncated form", async () => {
+  for (const ip of ["203.0.113.57", "::ffff:203.0.113.57", "203.0.113.0"]) {
+    const response = await getJson(`ip=${encodeURIComponent(ip)}`);
+    assert.equal(response.status, 200);
+
+    const { requests } = await response.json();
+    assert.deepEqual(
+      requests.map((r) => r.id),
+      ["req-1", "req-0"],
+      ip,
+    );
+  }
+});
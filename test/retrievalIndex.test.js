@@ -0,0 +1,76 @@
+// test/retrievalIndex.test.js - BM25 ranking, fuzzy terms and confidence
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex } from "../src/services/retrievalIndex.js";
+
+const index = buildIndex(
+  [
+    { id: "news", keywords: ["yangiliklar", "so'nggi xabarlar"], data: 1 },
+    { id: "leaders", keywords: ["rahbariyat", "rahbar"], data: 2 },
+    { id: "contacts", keywords: ["aloqa", "bog'lanish", "telefon"], data: 3 },
+  ],
+  { stopWords: ["kim", "qayerda"] },
+);
+
+test("an exact keyword is a match with full confidence", () => {
+  const [best] = index.search("Yangiliklar");
+
+  assert.equal(best.id, "news");
+  assert.equal(best.data, 1);
+  assert.equal(best.confidence, 1);
+  assert.deepEqual(best.matchedKeywords[0], {
+    keyword: "yangiliklar",
+    type: "exact",
+    coverage: 1,
+  });
+});
+
+test("inflected forms match by stem, typos by similarity", () => {
+  const [inflected] = index.search("yangiliklarni");
+  assert.equal(inflected.id, "news");
+  assert.equal(inflected.terms[0].matched, "yangiliklar");
+  assert.equal(inflected.terms[0].fuzzy, true);
+
+  const [typo] = index.search("rahbr");
+  assert.equal(typo.id, "leaders");
+  assert.equal(typo.terms[0].matched, "rahbar");
+
+  assert.deepEqual(index.search("rahbr", { fuzzyThreshold: 0.95 }), []);
+});
+
+test("stop words and unknown words lower confidence, not the ranking", () => {
+  assert.deepEqual(index.search("kim qayerda"), []);
+
+  const results = index.search("rahbar kim");
+  assert.equal(results[0].id, "leaders");
+  assert.equal(results[0].confidence, 1);
+
+  const [partial] = index.search("rahbar mashina");
+  assert.equal(partial.id, "leaders");
+  assert.ok(partial.confidence < 1);
+});
+
+test("limit caps the results", () => {
+  assert.equal(index.search("aloqa rahbar yangiliklar").length, 3);
+  assert.equal(
+    index.search("aloqa rahbar yangiliklar", { limit: 1 }).length,
+    1,
+  );
+  assert.equal(index.size, 3);
+});
+
+test("long queries only get fuzzy matching for their first terms", () => {
+  const words = Array.from({ length: 12000 }, (_, n) => `soz${n}`);
+
+  const start = Date.now();
+  const [best] = index.search([...words, "telefon"].join(" "));
+  assert.ok(Date.now() - start < 2000);
+
+  // Exact terms past the cap still count
+  assert.equal(best.id, "contacts");
+  assert.deepEqual(
+    index.search([...words.slice(0, 20), "telefn"].join(" ")),
+    [],
+  );
+  assert.equal(index.search(["telefn", ...words].join(" "))[0].id, "contacts");
+});
@@ -0,0 +1,119 @@
+// test/sessionStore.test.js - Stored turns: redaction, concurrency, limits
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+process.env.DATABASE_FILE = path.join(dir, "assistant.db");
+process.env.SESSION_MAX_TURNS = "3";
+
+// After DATABASE_FILE is set: the connection reads it on import
+const { getOrCreateSession, getHistory, addTurn, deleteSession } =
+  await import("../src/services/sessionStore.js");
+const { getDb, closeDb } = await import("../src/services/db/index.js");
+
+after(() => {
+  closeDb();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const turn = (query, message, type = "CHAT") => ({
+  query,
+  message,
+  type,
+  language: "uz",
+});
+
+test("a session comes back with its turns", () => {
+  const session = getOrCreateSession();
+  addTurn(session, {
+    ...turn("Aloqa", "Aloqa bo'limi", "NAVIGATION"),
+    navigation: { url: "/contacts", intent: "contacts", extra: 1 },
+  });
+
+  const loaded = getOrCreateSession(session.id);
+  assert.equal(loaded.id, session.id);
+  assert.equal(loaded.language, "uz");
+  assert.deepEqual(getHistory(loaded), getHistory(session));
+  assert.deepEqual(getHistory(loaded)[1].result, {
+    type: "NAVIGATION",
+    navigation: { url: "/contacts", intent: "contacts" },
+  });
+});
+
+test("personal data is redacted before it is stored", () => {
+  const session = getOrCreateSession();
+  addTurn(session, turn("Raqamim +998 90 123 45 67", "Siz: 901234567"));
+  addTurn(
+    session,
+    turn("Telefon?", "Qo'ng'iroq markazi: +998 71 200 00 00", "FAQ"),
+  );
+
+  const stored = getDb()
+    .prepare("SELECT content FROM session_turns WHERE session_id = ?")
+    .all(session.id)
+    .map((row) => row.content);
+  assert.deepEqual(stored, [
+    "Raqamim [phone]",
+    "Siz: [phone]",
+    "Telefon?",
+    "Qo'ng'iroq markazi: +998 71 200 00 00",
+  ]);
+  // What the model sees is what was stored
+  assert.deepEqual(
+    getHistory(session).map((t) => t.content),
+    stored,
+  );
+});
+
+test("concurrent requests of one session both keep their turn", () => {
+  const { id } = getOrCreateSession();
+  const first = getOrCreateSession(id);
+  const second = getOrCreateSession(id);
+
+  addTurn(first, turn("birinchi", "1"));
+  addTurn(second, turn("ikkinchi", "2"));
+
+  assert.deepEqual(
+    getHistory(getOrCreateSession(id)).map((t) => t.content),
+    ["birinchi", "1", "ikkinchi", "2"],
+  );
+});
+
+test("only the last SESSION_MAX_TURNS turns are kept", () => {
+  const session = getOrCreateSession();
+  for (let n = 1; n <= 5; n++) addTurn(session, turn(`q${n}`, `a${n}`));
+
+  const expected = ["q3", "a3", "q4", "a4", "q5", "a5"];
+  assert.deepEqual(
+    getHistory(session).map((t) => t.content),
+    expected,
+  );
+  assert.deepEqual(
+    getHistory(getOrCreateSession(session.id)).map((t) => t.content),
+    expected,
+  );
+});
+
+test("deleting a session deletes its turns", () => {
+  const session = getOrCreateSession();
+  addTurn(session, turn("salom", "Assalomu alaykum"));
+
+  assert.equal(deleteSession(session.id), true);
+  assert.equal(deleteSession(session.id), false);
+  assert.equal(
+    getDb()
+      .prepare(
+        "SELECT COUNT(*) AS count FROM session_turns WHERE session_id = ?",
+      )
+      .get(session.id).count,
+    0,
+  );
+  assert.notEqual(getOrCreateSession(session.id).id, session.id);
+});
+
+test("malformed ids get a new session", () => {
+  assert.notEqual(getOrCreateSession("'; DROP TABLE").id, "'; DROP TABLE");
+});
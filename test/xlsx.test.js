@@ -0,0 +1,122 @@
+// test/xlsx.test.js - ZIP structure and checksums of streamed workbooks
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PassThrough } from "stream";
+import zlib from "zlib";
+import { writeXlsx } from "../src/services/export/xlsx.js";
+
+/**
+ * Write a workbook and collect the bytes
+ */
+async function render(sheets) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  await writeXlsx(output, sheets);
+  output.end();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Entries of a ZIP file, read from its central directory the way unzip
+ * does, each checked against its local header and data descriptor
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50, "end of central directory");
+  const count = zip.readUInt16LE(end + 10);
+  const directorySize = zip.readUInt32LE(end + 12);
+  let offset = zip.readUInt32LE(end + 16);
+  assert.equal(offset + directorySize, end, "central directory size");
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    assert.equal(zip.readUInt32LE(offset), 0x02014b50, "central header");
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const size = zip.readUInt32LE(offset + 24);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString("utf-8", offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength;
+
+    assert.equal(zip.readUInt32LE(localOffset), 0x04034b50, "local header");
+    assert.equal(zip.readUInt16LE(localOffset + 8), 8, "deflate");
+    const localNameLength = zip.readUInt16LE(localOffset + 26);
+    const dataStart = localOffset + 30 + localNameLength;
+    const dataEnd = dataStart + compressedSize;
+
+    const descriptor = zip.subarray(dataEnd, dataEnd + 16);
+    assert.equal(descriptor.readUInt32LE(0), 0x08074b50, "data descriptor");
+    assert.equal(descriptor.readUInt32LE(4), crc);
+    assert.equal(descriptor.readUInt32LE(8), compressedSize);
+    assert.equal(descriptor.readUInt32LE(12), size);
+
+    const data = zlib.inflateRawSync(zip.subarray(dataStart, dataEnd));
+    entries.push({ name, crc, size, data });
+  }
+  return entries;
+}
+
+test("writes a ZIP whose directory, sizes and CRCs match the data", async () => {
+  const entries = readZip(
+    await render([{ name: "Requests", columns: ["Id"], rows: [["a"]] }]),
+  );
+
+  assert.deepEqual(
+    entries.map((e) => e.name),
+    [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/workbook.xml",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/worksheets/sheet1.xml",
+    ],
+  );
+  for (const entry of entries) {
+    assert.equal(entry.data.length, entry.size, entry.name);
+    assert.equal(zlib.crc32(entry.data), entry.crc, entry.name);
+  }
+});
+
+test("CRC stays right across rows written in several chunks", async () => {
+  // ~64 KB chunks: enough rows for several, with multi-byte text
+  async function* rows() {
+    for (let n = 0; n < 3000; n++) yield [n, `so'rov ${n} — ўзбекча`, null];
+  }
+
+  const entries = readZip(
+    await render([
+      { name: "Big", columns: ["N", "Query", "Empty"], rows: rows() },
+    ]),
+  );
+  const sheet = entries.find((e) => e.name === "xl/worksheets/sheet1.xml");
+
+  assert.ok(sheet.size > 3 * 65536);
+  assert.equal(zlib.crc32(sheet.data), sheet.crc);
+  const xml = sheet.data.toString("utf-8");
+  assert.match(xml, /<c><v>2999<\/v><\/c>/);
+  assert.match(xml, /so'rov 2999 — ўзбекча/);
+  assert.ok(xml.endsWith("</sheetData></worksheet>"));
+});
+
+test("escapes cell text and sheet names", async () => {
+  const entries = readZip(
+    await render([
+      {
+        name: "A/B: <x>",
+        columns: ["Text"],
+        rows: [['<b>"&"</b>\u0001']],
+      },
+    ]),
+  );
+  const text = (name) =>
+    entries.find((e) => e.name === name).data.toString("utf-8");
+
+  assert.match(text("xl/workbook.xml"), /<sheet name="A B  &lt;x&gt;"/);
+  assert.match(
+    text("xl/worksheets/sheet1.xml"),
+    /<t xml:space="preserve">&lt;b&gt;&quot;&amp;&quot;&lt;\/b&gt;<\/t>/,
+  );
+});